@@ -0,0 +1,210 @@
+/**
+ * Routing alerts with throttling
+ * Turns routing events into alerts for people (Slack, email) instead of machines. Each event
+ * type and location alerts at most once per throttle window: the first event alerts right
+ * away, later ones are only counted and reported as one summary when the window ends, so a
+ * capacity outage produces one message per location per hour rather than one per lead.
+ *
+ * NO_CAPACITY events name every nearby location that was full (unavailableLocations) and
+ * throttle per location; circuit events (DEGRADED / RECOVERED) throttle per dependency and other
+ * events without a location per type.
+ */
+
+const { eventType } = require('./webhook-subscriptions');
+
+const TITLES = {
+  NO_CAPACITY: locations => `No capacity at ${locations}`,
+  OUT_OF_RANGE: () => 'Lead outside every service area',
+  SYSTEM_ERROR: () => 'Lead routing failed',
+  DEGRADED: (locations, event) => `${event.dependency} is unavailable`,
+  RECOVERED: (locations, event) => `${event.dependency} recovered`
+};
+
+const ICONS = { NO_CAPACITY: '🚫', OUT_OF_RANGE: '📍', SYSTEM_ERROR: '💥', DEGRADED: '⚡', RECOVERED: '✅' };
+
+function describeEvent(type, event) {
+  const lead = `Lead ${event.leadId || '(no id)'}${event.leadZip ? ` (${event.leadZip}${event.leadCountry ? `, ${event.leadCountry}` : ''})` : ''}`;
+
+  switch (type) {
+    case 'NO_CAPACITY':
+      return `${lead} could not be routed: every nearby location is full or closed.`;
+    case 'OUT_OF_RANGE':
+      return `${lead} is not within range of any location.`;
+    case 'SYSTEM_ERROR':
+      return `${lead} failed with: ${event.error || 'unknown error'}`;
+    case 'DEGRADED':
+    case 'RECOVERED':
+      return `Circuit for ${event.dependency}: ${event.previousState} -> ${event.state}.`;
+    default:
+      return `${lead}: ${type}`;
+  }
+}
+
+/**
+ * Subject line and plain text body of an alert, shared by every channel
+ */
+function formatAlert(alert) {
+  const names = alert.locations.map(location => location.name || location.id).join(', ');
+  const title = (TITLES[alert.type] || (() => alert.type))(names, alert.event);
+  const icon = ICONS[alert.type] || '🔔';
+
+  if (alert.summary) {
+    return {
+      subject: `${icon} ${title}: ${alert.count} more since ${alert.since}`,
+      text: `${alert.count} more ${alert.type} event(s) between ${alert.since} and ${alert.until}.\n` +
+        `Latest: ${describeEvent(alert.type, alert.event)}`
+    };
+  }
+  return {
+    subject: `${icon} ${title}`,
+    text: `${describeEvent(alert.type, alert.event)}\nAt ${alert.event.timestamp || alert.until}.`
+  };
+}
+
+/**
+ * Slack incoming-webhook body (also what Mattermost, Discord's /slack endpoint and
+ * webhook.site accept)
+ */
+function slackPayload(alert) {
+  const { subject, text } = formatAlert(alert);
+  return { text: `*${subject}*\n${text}` };
+}
+
+class AlertNotifier {
+  constructor(options = {}) {
+    this.events = new Set(options.events || ['NO_CAPACITY', 'OUT_OF_RANGE', 'SYSTEM_ERROR']);
+    this.throttle = options.throttle ?? 60 * 60 * 1000;
+    this.send = options.send || (() => {}); // (alert) => void | Promise
+    this.sweepInterval = options.sweepInterval ?? 60 * 1000;
+    this.now = options.now || Date.now;
+
+    this.windows = new Map(); // "<type>:<location id or dependency>" -> { startedAt, suppressed, since, location, event }
+    this.timer = null;
+    this.stats = { alerts: 0, summaries: 0, suppressed: 0 };
+  }
+
+  /**
+   * The locations an event is about, each throttled on its own; [null] when it names none
+   */
+  subjects(type, event) {
+    if (type === 'NO_CAPACITY' && Array.isArray(event.unavailableLocations) && event.unavailableLocations.length > 0) {
+      return event.unavailableLocations;
+    }
+    if (event.selectedLocationId) {
+      return [{ id: event.selectedLocationId, name: event.selectedLocation }];
+    }
+    return [null];
+  }
+
+  /**
+   * Alert on an event unless every location it names alerted within the window;
+   * returns the alert sent, or null
+   */
+  notify(event) {
+    const type = eventType(event);
+    if (!this.events.has(type)) return null;
+
+    const now = this.now();
+    const at = new Date(now).toISOString();
+    const fresh = [];
+
+    this.subjects(type, event).forEach(location => {
+      // Two dependencies going down are two alerts, not one suppressed by the other
+      const key = `${type}:${location?.id ?? event.dependency ?? '*'}`;
+      const window = this.windows.get(key);
+      if (window && now - window.startedAt >= this.throttle) {
+        this.closeWindow(key, window, now);
+      }
+
+      const open = this.windows.get(key);
+      if (open) {
+        open.suppressed++;
+        open.since = open.since || at;
+        open.event = event;
+        this.stats.suppressed++;
+      } else {
+        this.windows.set(key, { type, startedAt: now, suppressed: 0, since: null, location, event });
+        fresh.push(location);
+      }
+    });
+
+    if (fresh.length === 0) return null;
+
+    const alert = {
+      type,
+      summary: false,
+      locations: fresh.filter(Boolean),
+      count: 1,
+      since: at,
+      until: at,
+      event
+    };
+    this.stats.alerts++;
+    this.deliver(alert);
+    return alert;
+  }
+
+  /**
+   * End a window; if anything was suppressed, report it and keep throttling for another window
+   */
+  closeWindow(key, window, now = this.now()) {
+    if (window.suppressed === 0) {
+      this.windows.delete(key);
+      return;
+    }
+
+    this.stats.summaries++;
+    this.deliver({
+      type: window.type,
+      summary: true,
+      locations: window.location ? [window.location] : [],
+      count: window.suppressed,
+      since: window.since,
+      until: new Date(now).toISOString(),
+      event: window.event
+    });
+    this.windows.set(key, { ...window, startedAt: now, suppressed: 0, since: null });
+  }
+
+  /**
+   * Close every window that has run out
+   */
+  sweep() {
+    const now = this.now();
+    this.windows.forEach((window, key) => {
+      if (now - window.startedAt >= this.throttle) {
+        this.closeWindow(key, window, now);
+      }
+    });
+  }
+
+  deliver(alert) {
+    Promise.resolve()
+      .then(() => this.send(alert))
+      .catch(error => console.warn(`Alert delivery failed (${alert.type}):`, error.message));
+  }
+
+  /**
+   * Sweep periodically until stop(); the timer does not keep the process alive
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      throttledKeys: Array.from(this.windows.keys())
+    };
+  }
+}
+
+module.exports = { AlertNotifier, formatAlert, slackPayload };
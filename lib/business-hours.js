@@ -0,0 +1,126 @@
+/**
+ * Weekly business hours with holiday closures, evaluated in a location's IANA time zone
+ *
+ * businessHours is either the legacy every-day form { open: 6, close: 22 } or a weekly schedule:
+ *   { mon: [['06:00', '12:00'], ['13:00', '21:00']], sat: { open: '08:00', close: '14:00' }, sun: [] }
+ * Missing days are closed. A range whose close is not after its open runs past midnight.
+ * holidays are local dates ('YYYY-MM-DD', or { date, name }) on which the location stays closed.
+ */
+
+const { WEEKDAYS, localParts, zonedTimeToUtc, addDays } = require('./time-zone');
+
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Minutes after midnight for 6, 6.5, '06:00' or '6:30'
+ */
+function parseTime(value) {
+  if (typeof value === 'number' && value >= 0 && value <= 24) {
+    return Math.round(value * 60);
+  }
+
+  // "24:00" is the end of the day; nothing later is
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  const minutes = match && Number(match[2]) < 60 ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (minutes <= 24 * 60) {
+    return minutes;
+  }
+
+  throw new Error(`Invalid time "${value}"`);
+}
+
+function compileRange(range) {
+  const [open, close] = Array.isArray(range) ? range : [range.open, range.close];
+  const start = parseTime(open);
+  let end = parseTime(close);
+
+  if (end <= start) end += DAY_MINUTES; // Overnight
+  return [start, end];
+}
+
+function compileDay(ranges) {
+  // Nothing, or an empty list such as sun: [], is a closed day
+  if (!ranges || (Array.isArray(ranges) && ranges.length === 0)) return [];
+
+  // A single [open, close] pair or { open, close } object is one range
+  const list = Array.isArray(ranges) && !Array.isArray(ranges[0]) && typeof ranges[0] !== 'object'
+    ? [ranges]
+    : [].concat(ranges);
+
+  return list.map(compileRange).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Compile businessHours into seven lists of [startMinute, endMinute] ranges, Sunday first
+ * Returns null when there are no hours (always open); throws on malformed times
+ */
+function compileSchedule(businessHours) {
+  if (!businessHours) return null;
+
+  if (businessHours.open !== undefined || businessHours.close !== undefined) {
+    const everyDay = compileDay(businessHours);
+    return WEEKDAYS.map(() => everyDay);
+  }
+
+  const days = WEEKDAYS.map(() => []);
+  Object.entries(businessHours).forEach(([key, ranges]) => {
+    const weekday = WEEKDAYS.indexOf(key.slice(0, 3).toLowerCase());
+    if (weekday === -1) {
+      throw new Error(`Unknown weekday "${key}"`);
+    }
+    days[weekday] = compileDay(ranges);
+  });
+
+  return days;
+}
+
+function holidaySet(holidays = []) {
+  return new Set(holidays.map(holiday => (typeof holiday === 'string' ? holiday : holiday.date)));
+}
+
+/**
+ * Whether a compiled schedule is open at `time`
+ * Overnight ranges count toward the day they started on, holiday or not
+ */
+function isOpenAt(schedule, time, timeZone, holidays = new Set()) {
+  if (!schedule) return true;
+
+  const now = localParts(time, timeZone);
+  const today = !holidays.has(now.date) &&
+    schedule[now.weekday].some(([start, end]) => start <= now.minutes && now.minutes < end);
+  if (today) return true;
+
+  const yesterday = (now.weekday + 6) % 7;
+  return !holidays.has(addDays(now.date, -1)) &&
+    schedule[yesterday].some(([, end]) => end > DAY_MINUTES && now.minutes < end - DAY_MINUTES);
+}
+
+/**
+ * Next opening at or after `time` as a UTC ms timestamp, or null if none within `horizonDays`
+ */
+function nextOpenAt(schedule, time, timeZone, holidays = new Set(), horizonDays = 14) {
+  if (!schedule || isOpenAt(schedule, time, timeZone, holidays)) return time;
+
+  const now = localParts(time, timeZone);
+
+  for (let offset = 0; offset <= horizonDays; offset++) {
+    const date = addDays(now.date, offset);
+    if (holidays.has(date)) continue;
+
+    const range = schedule[(now.weekday + offset) % 7]
+      .find(([start]) => offset > 0 || start > now.minutes);
+    if (range) {
+      return zonedTimeToUtc(date, range[0], timeZone);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseTime,
+  compileSchedule,
+  holidaySet,
+  isOpenAt,
+  nextOpenAt
+};
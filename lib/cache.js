@@ -0,0 +1,110 @@
+/**
+ * Size-bounded LRU cache with per-entry TTL
+ * Expiry is checked lazily on read, so no timers are left running
+ */
+
+class LruCache {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 1000;
+    this.ttl = options.ttl ?? Infinity; // ms; Infinity never expires
+    this.now = options.now || Date.now;
+    this.entries = new Map(); // key -> { value, expiresAt }; oldest first
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Value for key, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && (entry.expiresAt === null || entry.expiresAt > this.now());
+  }
+
+  set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: Number.isFinite(ttl) ? this.now() + ttl : null
+    });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      hitRate: lookups ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Live entries as [key, value, expiresAt] triples, oldest first
+   */
+  dump() {
+    const now = this.now();
+    return Array.from(this.entries.entries())
+      .filter(([, entry]) => entry.expiresAt === null || entry.expiresAt > now)
+      .map(([key, entry]) => [key, entry.value, entry.expiresAt]);
+  }
+
+  /**
+   * Restore entries produced by dump(), skipping any that expired meanwhile
+   */
+  load(entries = []) {
+    const now = this.now();
+
+    entries.forEach(([key, value, expiresAt]) => {
+      if (expiresAt !== null && expiresAt <= now) return;
+      this.entries.delete(key);
+      this.entries.set(key, { value, expiresAt });
+    });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = { LruCache };
@@ -0,0 +1,145 @@
+/**
+ * Capacity ledger with reserve/commit/release semantics
+ * The capacity source (JSONBin or simulated) reports a snapshot of free slots;
+ * the ledger subtracts what this process has reserved or committed since.
+ * reserve() checks and takes a slot synchronously, so concurrent routeLead calls
+ * in one process can never be handed the same slot.
+ */
+
+class CapacityLedger {
+  constructor(options = {}) {
+    this.reservationTtl = options.reservationTtl ?? 60000; // Unclaimed reservations free up after this
+    this.now = options.now || Date.now;
+    this.entries = new Map(); // locationId -> { slots, version, snapshotAt, committed, reservations }
+    this.nextId = 1;
+    this.stats = { reserved: 0, committed: 0, released: 0, expired: 0, rejected: 0 };
+  }
+
+  /**
+   * Record a capacity snapshot from the source and return it adjusted for local holds
+   * A snapshot with the same lastUpdated as the last one is not applied twice, nor is one
+   * taken before the snapshot the ledger already has
+   */
+  sync(locationId, capacity = {}) {
+    let entry = this.entries.get(locationId);
+    const version = capacity.lastUpdated || null;
+
+    const snapshotAt = Date.parse(version) || this.now();
+
+    // A read that left before our last write-back (e.g. one of a burst of parallel
+    // lookups) is older than what the ledger holds and must not reset it
+    if (!entry || (version !== null && version !== entry.version && snapshotAt > entry.snapshotAt)) {
+      entry = {
+        // availableSlots null means the source sets no limit (the daily lead cap still applies)
+        slots: capacity.hasCapacity === false ? 0 : Math.max(0, capacity.availableSlots ?? Infinity),
+        version,
+        snapshotAt,
+        // Commits after the snapshot was taken are not in it yet
+        committed: entry ? entry.committed.filter(time => time > snapshotAt) : [],
+        reservations: entry ? entry.reservations : new Map()
+      };
+      this.entries.set(locationId, entry);
+    }
+
+    const availableSlots = this.available(locationId);
+    return {
+      ...capacity,
+      availableSlots,
+      hasCapacity: capacity.hasCapacity !== false && availableSlots > 0
+    };
+  }
+
+  /**
+   * Free slots after outstanding reservations and local commits; null if never synced
+   */
+  available(locationId) {
+    const entry = this.entries.get(locationId);
+    if (!entry) return null;
+
+    this.expireReservations(entry);
+    return Math.max(0, entry.slots - entry.committed.length - entry.reservations.size);
+  }
+
+  /**
+   * Hold one slot for a lead; returns the reservation, or null when the location is full
+   */
+  reserve(locationId, leadId = null) {
+    if (!this.available(locationId)) {
+      this.stats.rejected++;
+      return null;
+    }
+
+    const reservation = { id: `${locationId}:${this.nextId++}`, locationId, leadId };
+    this.entries.get(locationId).reservations.set(reservation.id, {
+      leadId,
+      expiresAt: this.now() + this.reservationTtl
+    });
+    this.stats.reserved++;
+    return reservation;
+  }
+
+  /**
+   * Turn a reservation into a used slot; false if it was released or expired first
+   */
+  commit(reservation) {
+    const entry = this.entries.get(reservation.locationId);
+    if (!entry || !entry.reservations.delete(reservation.id)) return false;
+
+    // Unlimited slots are never used up, so there is nothing to remember
+    if (entry.slots !== Infinity) {
+      entry.committed.push(this.now());
+    }
+    this.stats.committed++;
+    return true;
+  }
+
+  /**
+   * Give a reserved slot back, e.g. when routing fails after selection
+   */
+  release(reservation) {
+    const entry = this.entries.get(reservation.locationId);
+    if (!entry || !entry.reservations.delete(reservation.id)) return false;
+
+    this.stats.released++;
+    return true;
+  }
+
+  /**
+   * Fold local commits into a new snapshot and return it for writing back to the source
+   * Outstanding reservations stay held and are not part of the written count
+   */
+  rebase(locationId) {
+    const entry = this.entries.get(locationId);
+    if (!entry) return null;
+
+    const now = this.now();
+    entry.slots = Math.max(0, entry.slots - entry.committed.length);
+    entry.committed = [];
+    entry.snapshotAt = now;
+    entry.version = new Date(now).toISOString();
+
+    return { availableSlots: entry.slots, hasCapacity: entry.slots > 0, lastUpdated: entry.version };
+  }
+
+  expireReservations(entry) {
+    const now = this.now();
+
+    entry.reservations.forEach((reservation, id) => {
+      if (reservation.expiresAt <= now) {
+        entry.reservations.delete(id);
+        this.stats.expired++;
+      }
+    });
+  }
+
+  getStats() {
+    let reservations = 0;
+    this.entries.forEach(entry => {
+      reservations += entry.reservations.size;
+    });
+
+    return { ...this.stats, outstanding: reservations, locations: this.entries.size };
+  }
+}
+
+module.exports = { CapacityLedger };
@@ -0,0 +1,138 @@
+/**
+ * Circuit breaker for a single outbound dependency
+ * closed: calls pass through; consecutive failures are counted
+ * open: calls fail fast with CircuitOpenError until resetTimeout has passed
+ * half_open: a limited number of trial calls decide whether to close or re-open
+ * A call turned away by our own rate limiter queue (RateLimitQueueFullError) counts as neither
+ * success nor failure: it says nothing about the dependency.
+ */
+
+const { RateLimitQueueFullError } = require('./rate-limiter');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit for ${name} is open`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.now = options.now || Date.now;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Run `task` through the breaker; rejects with CircuitOpenError without calling it when open
+   */
+  async execute(task) {
+    if (!this.tryAcquire()) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this.name);
+    }
+
+    try {
+      const result = await task();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (error instanceof RateLimitQueueFullError) {
+        this.releaseTrial();
+      } else {
+        this.recordFailure();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a call may go out now; moves open -> half_open once resetTimeout has passed
+   */
+  tryAcquire() {
+    if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.resetTimeout) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+    if (this.state === STATES.OPEN) return false;
+
+    if (this.halfOpenCalls >= this.halfOpenMaxCalls) return false;
+    this.halfOpenCalls++;
+    return true;
+  }
+
+  /**
+   * Give back a half-open trial slot taken by a call that never reached the dependency
+   */
+  releaseTrial() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    if (state === this.state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.halfOpenCalls = 0;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = this.now();
+      this.stats.opened++;
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange(this.name, state, previous);
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, STATES };
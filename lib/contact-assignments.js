@@ -0,0 +1,139 @@
+/**
+ * Contact-to-location assignments for sticky routing
+ * Remembers which location each contact was last routed to, keyed by GHL contactId,
+ * E.164 phone and lowercased email, so a returning contact is recognised by any of them.
+ * Assignments stop binding `ttl` ms after they were made; routing the contact again renews them.
+ * Expired assignments are dropped as new ones are made, so the table holds live contacts only.
+ */
+
+const { normalizePhone, normalizeEmail } = require('./contact');
+
+function contactKeys(lead, country) {
+  const phone = normalizePhone(lead.phone, country);
+  const email = normalizeEmail(lead.email);
+
+  return [
+    lead.contactId && { key: `contact:${lead.contactId}`, via: 'contactId' },
+    email && { key: `email:${email}`, via: 'email' },
+    phone && { key: `phone:${phone}`, via: 'phone' }
+  ].filter(Boolean);
+}
+
+class ContactAssignmentStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 180 * 24 * 60 * 60 * 1000;
+    this.store = options.store || null; // { load(), save(data) }, e.g. JsonFileStore
+    this.now = options.now || Date.now;
+    this.persistDelay = options.persistDelay ?? 1000;
+    this.persistTimer = null;
+    this.assignments = new Map(); // contact key -> { locationId, locationName, leadId, assignedAt }, oldest first
+    this.stats = { lookups: 0, returning: 0, expired: 0 };
+
+    const saved = this.store ? this.store.load() : null;
+    Object.entries(saved?.assignments || {})
+      .sort(([, a], [, b]) => a.assignedAt - b.assignedAt)
+      .forEach(([key, assignment]) => this.assignments.set(key, assignment));
+    this.prune();
+  }
+
+  /**
+   * The contact's current assignment with the key that found it:
+   * { locationId, locationName, leadId, assignedAt, matchedOn } or null
+   */
+  lookup(lead, country) {
+    this.stats.lookups++;
+    const cutoff = this.now() - this.ttl;
+    let latest = null;
+
+    contactKeys(lead, country).forEach(({ key, via }) => {
+      const assignment = this.assignments.get(key);
+      if (!assignment) return;
+
+      if (assignment.assignedAt <= cutoff) {
+        this.assignments.delete(key);
+        this.stats.expired++;
+        return;
+      }
+      if (!latest || assignment.assignedAt > latest.assignedAt) {
+        latest = { ...assignment, matchedOn: via };
+      }
+    });
+
+    if (latest) this.stats.returning++;
+    return latest;
+  }
+
+  /**
+   * Record (or renew) the contact's location under every key the lead carries
+   */
+  assign(lead, location, country) {
+    const keys = contactKeys(lead, country);
+    if (keys.length === 0) return;
+
+    const assignment = {
+      locationId: location.id,
+      locationName: location.name,
+      leadId: lead.id,
+      assignedAt: this.now()
+    };
+    keys.forEach(({ key }) => {
+      // Re-inserted so the map stays in assignedAt order
+      this.assignments.delete(key);
+      this.assignments.set(key, assignment);
+    });
+    this.prune();
+    this.persist();
+  }
+
+  /**
+   * Drop every assignment for a contact, e.g. after a member cancels
+   */
+  forget(lead, country) {
+    const removed = contactKeys(lead, country).filter(({ key }) => this.assignments.delete(key)).length;
+    if (removed > 0) this.persist();
+    return removed;
+  }
+
+  /**
+   * Drop expired assignments from the front of the map; returns how many were dropped
+   */
+  prune() {
+    const cutoff = this.now() - this.ttl;
+    let expired = 0;
+
+    for (const [key, assignment] of this.assignments) {
+      if (assignment.assignedAt > cutoff) break;
+      this.assignments.delete(key);
+      expired++;
+    }
+    this.stats.expired += expired;
+    return expired;
+  }
+
+  persist() {
+    if (!this.store || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelay);
+    this.persistTimer.unref?.();
+  }
+
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.store) return;
+
+    this.prune();
+    try {
+      const assignments = Object.fromEntries(this.assignments);
+      this.store.save({ version: 1, savedAt: new Date(this.now()).toISOString(), assignments });
+    } catch (error) {
+      console.warn('Could not persist contact assignments:', error.message);
+    }
+  }
+
+  getStats() {
+    return { keys: this.assignments.size, ...this.stats };
+  }
+}
+
+module.exports = { ContactAssignmentStore, contactKeys };
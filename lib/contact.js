@@ -0,0 +1,125 @@
+/**
+ * Contact identity normalization
+ * Turns the phone, email and name a lead arrives with into comparable keys, so the same
+ * person submitting twice looks the same however the form formatted them
+ */
+
+const CALLING_CODES = { US: '1', CA: '1', GB: '44', AU: '61' };
+
+/**
+ * E.164 form of a phone number ('+15551234567'), or null when it cannot be one
+ * National numbers use the lead's country: a leading trunk 0 is dropped (GB, AU) and
+ * NANP numbers may carry their leading 1
+ */
+function normalizePhone(phone, country = 'US') {
+  if (!phone) return null;
+
+  const raw = String(phone).trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  const code = CALLING_CODES[country] || CALLING_CODES.US;
+
+  if (code === '1') {
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    return digits.length === 10 ? `+1${digits}` : null;
+  }
+
+  if (digits.startsWith('0')) digits = digits.slice(1);
+  if (digits.startsWith(code) && digits.length > 10) digits = digits.slice(code.length);
+  return digits.length >= 8 && digits.length <= 11 ? `+${code}${digits}` : null;
+}
+
+function normalizeEmail(email) {
+  if (!email) return null;
+
+  const normalized = String(email).trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Lowercased name tokens in sorted order, without accents or punctuation,
+ * so 'Smith, José' and 'jose smith' compare equal
+ */
+function normalizeName(lead) {
+  const full = lead.name || [lead.firstName, lead.lastName].filter(Boolean).join(' ');
+  const tokens = String(full || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort();
+
+  return tokens.length > 0 ? tokens.join(' ') : null;
+}
+
+/**
+ * Jaro-Winkler similarity of two strings, 0 (nothing alike) to 1 (identical)
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(b.length - 1, i + range);
+    for (let j = start; j <= end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Comparable identity of a lead: { phone, email, name }, each null when missing or invalid
+ */
+function contactIdentity(lead, country) {
+  return {
+    phone: normalizePhone(lead.phone, country),
+    email: normalizeEmail(lead.email),
+    name: normalizeName(lead)
+  };
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  normalizeName,
+  nameSimilarity,
+  contactIdentity
+};
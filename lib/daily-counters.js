@@ -0,0 +1,88 @@
+/**
+ * Per-location daily lead counters
+ * Each location's day runs from midnight to midnight in its own IANA time zone,
+ * so a counter resets the first time it is touched after the local date changes.
+ * Saves to the store are batched (persistDelay ms); flush() before exiting.
+ */
+
+const { localDay } = require('./time-zone');
+
+class DailyLeadCounters {
+  constructor(options = {}) {
+    this.store = options.store || null; // { load(), save(data) }, e.g. JsonFileStore
+    this.now = options.now || Date.now;
+    this.persistDelay = options.persistDelay ?? 1000;
+    this.persistTimer = null;
+    this.counts = {}; // locationId -> { day, count }
+
+    if (this.store) {
+      const saved = this.store.load();
+      this.counts = saved?.counts || {};
+    }
+  }
+
+  /**
+   * Leads counted today for a location, in the location's time zone
+   */
+  count(locationId, timeZone) {
+    const entry = this.counts[locationId];
+    return entry && entry.day === localDay(this.now(), timeZone) ? entry.count : 0;
+  }
+
+  /**
+   * Count one lead unless the location already reached `cap` today
+   * Returns the local day it was counted on (needed to undo it) or null when capped
+   */
+  tryIncrement(locationId, cap = Infinity, timeZone) {
+    const day = localDay(this.now(), timeZone);
+    const entry = this.counts[locationId];
+    const count = entry && entry.day === day ? entry.count : 0;
+
+    if (count >= cap) return null;
+
+    this.counts[locationId] = { day, count: count + 1 };
+    this.persist();
+    return day;
+  }
+
+  /**
+   * Undo a tryIncrement, e.g. when routing failed after the slot was taken
+   * Ignored once the location's day has rolled over
+   */
+  decrement(locationId, day) {
+    const entry = this.counts[locationId];
+    if (!entry || entry.day !== day || entry.count === 0) return false;
+
+    entry.count--;
+    this.persist();
+    return true;
+  }
+
+  persist() {
+    if (!this.store || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelay);
+    this.persistTimer.unref?.();
+  }
+
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.store) return;
+
+    try {
+      this.store.save({ version: 1, savedAt: new Date(this.now()).toISOString(), counts: this.counts });
+    } catch (error) {
+      console.warn('Could not persist daily lead counts:', error.message);
+    }
+  }
+
+  /**
+   * Stored counters as { locationId: { day, count } }; days are each location's local date
+   */
+  getStats() {
+    return JSON.parse(JSON.stringify(this.counts));
+  }
+}
+
+module.exports = { DailyLeadCounters };
@@ -0,0 +1,162 @@
+/**
+ * Lead distribution among equally good locations
+ * The router hands over the candidates in its tie band; the distributor decides
+ * their order and remembers who got each lead so the spread stays fair.
+ *
+ * Strategies:
+ *   round_robin             - take turns in a fixed order
+ *   weighted                - smooth weighted round-robin, so shares converge to the weights
+ *   least_recently_assigned - the location that waited longest goes first
+ *   none                    - keep the incoming (score) order
+ *
+ * Turns are kept per group of tied locations. Only the maxGroups most recently used groups
+ * are kept, and saves to the store are batched (persistDelay ms); flush() before exiting.
+ */
+
+const STRATEGIES = ['round_robin', 'weighted', 'least_recently_assigned', 'none'];
+
+class LeadDistributor {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'round_robin';
+    this.store = options.store || null; // { load(), save(data) }, e.g. JsonFileStore
+    this.now = options.now || Date.now;
+    this.maxGroups = options.maxGroups ?? 1000;
+    this.persistDelay = options.persistDelay ?? 1000;
+    this.persistTimer = null;
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown distribution strategy: ${this.strategy}`);
+    }
+
+    const saved = this.store ? this.store.load() : null;
+    this.state = {
+      cursors: saved?.cursors || {}, // group -> next position (round_robin)
+      currentWeights: saved?.currentWeights || {}, // group -> location id -> current weight (weighted)
+      groupsUsed: saved?.groupsUsed || {}, // group -> sequence number of its latest lead
+      // location id -> sequence number of its latest lead (least_recently_assigned);
+      // a counter rather than a clock so leads in the same millisecond still alternate
+      lastAssigned: saved?.lastAssigned || {},
+      sequence: saved?.sequence || 0,
+      assignments: saved?.assignments || {} // location id -> leads distributed
+    };
+
+    // State saved before groups were tracked counts as least recently used
+    Object.keys({ ...this.state.cursors, ...this.state.currentWeights }).forEach(group => {
+      this.state.groupsUsed[group] = this.state.groupsUsed[group] ?? 0;
+    });
+    this.pruneGroups();
+  }
+
+  /**
+   * Candidate ids in the order the strategy wants them tried
+   * candidates: [{ id, weight }] in score order
+   */
+  order(candidates) {
+    if (candidates.length < 2 || this.strategy === 'none') {
+      return candidates.map(candidate => candidate.id);
+    }
+
+    const group = groupKey(candidates);
+
+    if (this.strategy === 'round_robin') {
+      const ids = candidates.map(candidate => candidate.id).sort();
+      const start = (this.state.cursors[group] || 0) % ids.length;
+      return ids.slice(start).concat(ids.slice(0, start));
+    }
+
+    if (this.strategy === 'weighted') {
+      const current = this.state.currentWeights[group] || {};
+      return candidates
+        .map((candidate, index) => ({ id: candidate.id, index, next: (current[candidate.id] || 0) + weightOf(candidate) }))
+        .sort((a, b) => b.next - a.next || a.index - b.index)
+        .map(candidate => candidate.id);
+    }
+
+    // least_recently_assigned: never-assigned first, then oldest; ties keep score order
+    return candidates
+      .map((candidate, index) => ({ id: candidate.id, index, last: this.state.lastAssigned[candidate.id] ?? -Infinity }))
+      .sort((a, b) => a.last - b.last || a.index - b.index)
+      .map(candidate => candidate.id);
+  }
+
+  /**
+   * Remember that `chosenId` got a lead from this group of candidates
+   */
+  record(candidates, chosenId) {
+    this.state.assignments[chosenId] = (this.state.assignments[chosenId] || 0) + 1;
+    this.state.lastAssigned[chosenId] = ++this.state.sequence;
+
+    if (candidates.length >= 2) {
+      const group = groupKey(candidates);
+
+      if (this.strategy === 'round_robin') {
+        const ids = candidates.map(candidate => candidate.id).sort();
+        this.state.cursors[group] = (ids.indexOf(chosenId) + 1) % ids.length;
+      } else if (this.strategy === 'weighted') {
+        const current = this.state.currentWeights[group] || (this.state.currentWeights[group] = {});
+        const total = candidates.reduce((sum, candidate) => sum + weightOf(candidate), 0);
+
+        candidates.forEach(candidate => {
+          current[candidate.id] = (current[candidate.id] || 0) + weightOf(candidate);
+        });
+        current[chosenId] -= total;
+      }
+
+      this.state.groupsUsed[group] = this.state.sequence;
+      this.pruneGroups();
+    }
+
+    this.persist();
+  }
+
+  /**
+   * Forget the least recently used groups beyond maxGroups, e.g. bands that no longer form
+   * after locations were added or closed
+   */
+  pruneGroups() {
+    const groups = Object.keys(this.state.groupsUsed);
+    if (groups.length <= this.maxGroups) return;
+
+    groups
+      .sort((a, b) => this.state.groupsUsed[a] - this.state.groupsUsed[b])
+      .slice(0, groups.length - this.maxGroups)
+      .forEach(group => {
+        delete this.state.groupsUsed[group];
+        delete this.state.cursors[group];
+        delete this.state.currentWeights[group];
+      });
+  }
+
+  persist() {
+    if (!this.store || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelay);
+    this.persistTimer.unref?.();
+  }
+
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.store) return;
+
+    try {
+      this.store.save({ version: 1, strategy: this.strategy, savedAt: new Date(this.now()).toISOString(), ...this.state });
+    } catch (error) {
+      console.warn('Could not persist distribution state:', error.message);
+    }
+  }
+
+  getStats() {
+    return { strategy: this.strategy, groups: Object.keys(this.state.groupsUsed).length, assignments: { ...this.state.assignments } };
+  }
+}
+
+function groupKey(candidates) {
+  return candidates.map(candidate => candidate.id).sort().join(',');
+}
+
+function weightOf(candidate) {
+  return candidate.weight > 0 ? candidate.weight : 1;
+}
+
+module.exports = { LeadDistributor, STRATEGIES };
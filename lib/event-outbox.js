@@ -0,0 +1,305 @@
+/**
+ * Durable outbox for routing events
+ * Events are appended to a local log before anything is sent, and a background worker
+ * delivers them to each sink with exponential backoff. After maxAttempts failures a
+ * delivery moves to the dead-letter file, from where replayDeadLetters() can requeue it.
+ *
+ * Files in `dir` (JSON lines, append-only):
+ *   outbox.jsonl       { op: 'enqueue', id, sink, event, at } / { op: 'attempt', id, attempts, nextAttemptAt, error }
+ *                      / { op: 'done', id } / { op: 'dead', id }
+ *   dead-letter.jsonl  { id, sink, event, attempts, lastError, deadAt }
+ * The outbox log is replayed on startup and compacted to the pending deliveries once it
+ * grows past compactAfter records, most of them finished. Without `dir` the queue lives in memory only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class EventOutbox {
+  constructor(options = {}) {
+    this.sinks = options.sinks || {}; // name -> async (event) => void, throwing on failure
+    this.dir = options.dir || null;
+    this.maxAttempts = options.maxAttempts ?? 8;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 5 * 60 * 1000;
+    this.pollInterval = options.pollInterval ?? 1000;
+    this.compactAfter = options.compactAfter ?? 1000;
+    // Failures that say nothing about the event (e.g. an open circuit) retry without using an attempt
+    this.isTransient = options.isTransient || (() => false);
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+
+    this.pending = new Map(); // delivery id -> { id, sink, event, attempts, nextAttemptAt, lastError }
+    this.logRecords = 0;
+    this.timer = null;
+    this.draining = null;
+    this.stats = { enqueued: 0, delivered: 0, retried: 0, deadLettered: 0, replayed: 0 };
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.logPath = path.join(this.dir, 'outbox.jsonl');
+      this.deadLetterPath = path.join(this.dir, 'dead-letter.jsonl');
+      [this.logPath, this.deadLetterPath].forEach(endWithNewline);
+      this.recover();
+    }
+  }
+
+  /**
+   * Queue an event for every named sink; returns the delivery ids
+   */
+  enqueue(event, sinkNames) {
+    const eventId = crypto.randomUUID();
+    const ids = sinkNames.filter(sink => this.sinks[sink]).map(sink => {
+      const delivery = { id: `${eventId}:${sink}`, sink, event, attempts: 0, nextAttemptAt: this.now(), lastError: null };
+      this.append({ op: 'enqueue', id: delivery.id, sink, event, at: delivery.nextAttemptAt });
+      this.pending.set(delivery.id, delivery);
+      this.stats.enqueued++;
+      return delivery.id;
+    });
+
+    if (ids.length > 0 && this.timer) {
+      setImmediate(() => this.drain());
+    }
+    return ids;
+  }
+
+  /**
+   * Poll for due deliveries until stop(); the timer does not keep the process alive
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.drain(), this.pollInterval);
+    this.timer.unref?.();
+    setImmediate(() => this.drain());
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Attempt every due delivery once, one at a time; concurrent calls share one pass
+   */
+  drain() {
+    if (!this.draining) {
+      this.draining = this.deliverDue().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async deliverDue() {
+    const due = Array.from(this.pending.values()).filter(delivery => delivery.nextAttemptAt <= this.now());
+
+    for (const delivery of due) {
+      try {
+        const send = this.sinks[delivery.sink];
+        if (!send) {
+          // Recovered from the log after its sink was removed from the configuration
+          throw new Error(`No sink named ${delivery.sink}`);
+        }
+        await send(delivery.event);
+        this.pending.delete(delivery.id);
+        this.append({ op: 'done', id: delivery.id });
+        this.stats.delivered++;
+      } catch (error) {
+        this.recordFailure(delivery, error);
+      }
+    }
+
+    if (this.shouldCompact()) {
+      this.compact();
+    }
+  }
+
+  recordFailure(delivery, error) {
+    const transient = this.isTransient(error);
+    const attempts = transient ? delivery.attempts : delivery.attempts + 1;
+
+    if (attempts >= this.maxAttempts) {
+      this.pending.delete(delivery.id);
+      this.append({ op: 'dead', id: delivery.id });
+      this.appendDeadLetter({
+        id: delivery.id,
+        sink: delivery.sink,
+        event: delivery.event,
+        attempts,
+        lastError: error.message,
+        deadAt: new Date(this.now()).toISOString()
+      });
+      this.stats.deadLettered++;
+      console.warn(`Event delivery to ${delivery.sink} dead-lettered after ${attempts} attempts:`, error.message);
+      return;
+    }
+
+    // Full jitter: anywhere up to the capped exponential delay
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** Math.max(0, attempts - 1));
+    Object.assign(delivery, {
+      attempts,
+      nextAttemptAt: this.now() + Math.round(this.random() * ceiling),
+      lastError: error.message
+    });
+    this.append({ op: 'attempt', id: delivery.id, attempts, nextAttemptAt: delivery.nextAttemptAt, error: error.message });
+    this.stats.retried++;
+  }
+
+  /**
+   * Move dead letters back into the queue with fresh attempts
+   * filter(letter) picks which ones (default all); returns how many were requeued
+   */
+  replayDeadLetters(filter = () => true) {
+    if (!this.dir) return 0;
+
+    const letters = readJsonLines(this.deadLetterPath);
+    const replay = letters.filter(letter => filter(letter) && this.sinks[letter.sink]);
+    const remaining = letters.filter(letter => !replay.includes(letter));
+
+    replay.forEach(letter => {
+      const delivery = { id: letter.id, sink: letter.sink, event: letter.event, attempts: 0, nextAttemptAt: this.now(), lastError: null };
+      this.append({ op: 'enqueue', id: delivery.id, sink: delivery.sink, event: delivery.event, at: delivery.nextAttemptAt });
+      this.pending.set(delivery.id, delivery);
+    });
+    writeJsonLines(this.deadLetterPath, remaining);
+    this.stats.replayed += replay.length;
+
+    return replay.length;
+  }
+
+  getDeadLetters() {
+    return this.dir ? readJsonLines(this.deadLetterPath) : [];
+  }
+
+  /**
+   * Rebuild the pending deliveries from the log after a restart
+   */
+  recover() {
+    readJsonLines(this.logPath).forEach(record => {
+      this.logRecords++;
+      if (record.op === 'enqueue') {
+        this.pending.set(record.id, {
+          id: record.id,
+          sink: record.sink,
+          event: record.event,
+          attempts: 0,
+          nextAttemptAt: record.at,
+          lastError: null
+        });
+      } else if (record.op === 'attempt' && this.pending.has(record.id)) {
+        Object.assign(this.pending.get(record.id), {
+          attempts: record.attempts,
+          nextAttemptAt: record.nextAttemptAt,
+          lastError: record.error
+        });
+      } else if (record.op === 'done' || record.op === 'dead') {
+        this.pending.delete(record.id);
+      }
+    });
+
+    if (this.shouldCompact()) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Whether the log is mostly finished deliveries; a big backlog alone does not count,
+   * so a long sink outage does not rewrite the whole queue on every pass
+   */
+  shouldCompact() {
+    return this.logRecords >= Math.max(this.compactAfter, 4 * this.pending.size);
+  }
+
+  /**
+   * Rewrite the log with just the pending deliveries
+   */
+  compact() {
+    if (!this.dir) return;
+
+    const records = [];
+    this.pending.forEach(delivery => {
+      records.push({ op: 'enqueue', id: delivery.id, sink: delivery.sink, event: delivery.event, at: delivery.nextAttemptAt });
+      if (delivery.attempts > 0) {
+        records.push({ op: 'attempt', id: delivery.id, attempts: delivery.attempts, nextAttemptAt: delivery.nextAttemptAt, error: delivery.lastError });
+      }
+    });
+
+    writeJsonLines(this.logPath, records);
+    this.logRecords = records.length;
+  }
+
+  append(record) {
+    if (!this.dir) return;
+
+    fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+    this.logRecords++;
+  }
+
+  appendDeadLetter(letter) {
+    if (!this.dir) return;
+    fs.appendFileSync(this.deadLetterPath, JSON.stringify(letter) + '\n');
+  }
+
+  getStats() {
+    const bySink = {};
+    this.pending.forEach(delivery => {
+      bySink[delivery.sink] = (bySink[delivery.sink] || 0) + 1;
+    });
+
+    return { pending: this.pending.size, pendingBySink: bySink, ...this.stats };
+  }
+}
+
+/**
+ * Records of a JSON lines file; a torn last line from a crash mid-write is skipped
+ */
+function readJsonLines(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Terminate a torn last line so the next append starts a record of its own
+ */
+function endWithNewline(filePath) {
+  let size;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (size === 0) return;
+
+  const fd = fs.openSync(filePath, 'r');
+  const last = Buffer.alloc(1);
+  fs.readSync(fd, last, 0, 1, size - 1);
+  fs.closeSync(fd);
+
+  if (last[0] !== 0x0a) {
+    fs.appendFileSync(filePath, '\n');
+  }
+}
+
+function writeJsonLines(filePath, records) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { EventOutbox, readJsonLines };
@@ -0,0 +1,179 @@
+/**
+ * Delivery of routing events and alerts to the outside world
+ * One method per sink (webhook subscribers, JSONBin analytics, Slack, email), each throwing when
+ * the sink does not take the event so the outbox can retry it. Every call goes through the breaker
+ * `breakerFor(dependency)` returns; 429 and 5xx responses count as failures.
+ * The router delivers through these, and so does scripts/replay-dead-letters.js without a router.
+ */
+
+const { signPayload } = require('./webhook-signature');
+const { formatAlert, slackPayload } = require('./alert-notifier');
+const { sendMail } = require('./smtp-client');
+const { readJsonFile } = require('./json-file');
+
+class EventSinks {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.http = options.http;
+    this.subscriptions = options.subscriptions;
+    this.breakerFor = options.breakerFor;
+  }
+
+  /**
+   * Outbox sink name -> delivery function: 'jsonbin', 'alert:slack', 'alert:email' and
+   * 'webhook:<subscription id>' per subscriber
+   */
+  outboxSinks() {
+    return {
+      jsonbin: event => this.postEventData(event),
+      'alert:slack': alert => this.postSlackAlert(alert),
+      'alert:email': alert => this.emailAlert(alert),
+      ...Object.fromEntries(this.subscriptions.subscriptions.map(subscriber => [
+        `webhook:${subscriber.id}`,
+        event => this.deliverToSubscriber(subscriber, event)
+      ]))
+    };
+  }
+
+  /**
+   * Run an HTTP call through the dependency's breaker
+   * 429 and 5xx responses count as failures, so callers fall back on any rejection
+   */
+  async callDependency(name, request) {
+    return this.breakerFor(name).execute(async () => {
+      const response = await request();
+
+      if (response.status === 429 || response.status >= 500) {
+        throw new Error(`${name} responded ${response.status}`);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * POST data to a webhook, signed with `secret` (WEBHOOK_SECURITY.SIGNING_SECRET by default)
+   * Throws when it is not accepted, so the outbox can retry
+   */
+  async postWebhook(url, data, { secret = this.config.WEBHOOK_SECURITY?.SIGNING_SECRET, dependency = 'webhook' } = {}) {
+    const body = JSON.stringify(data);
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(secret && signPayload(secret, body))
+    };
+    const response = await this.callDependency(dependency, () =>
+      this.http.request(dependency, url, { method: 'POST', headers, body })
+    );
+
+    if (!response.ok) {
+      throw new Error(`${dependency} responded ${response.status}`);
+    }
+  }
+
+  /**
+   * Send an event to one subscriber in its template, behind a circuit of its own so one
+   * unreachable subscriber does not hold up the rest; throws when it is not accepted
+   */
+  async deliverToSubscriber(subscriber, eventData) {
+    try {
+      await this.postWebhook(subscriber.url, this.subscriptions.render(subscriber, eventData), {
+        secret: subscriber.secret,
+        dependency: `webhook:${subscriber.id}`
+      });
+    } catch (error) {
+      this.subscriptions.recordFailure(subscriber.id, error);
+      throw error;
+    }
+    this.subscriptions.recordDelivery(subscriber.id);
+  }
+
+  /**
+   * Append an event to the analytics bin of the day it happened (not the day it was
+   * delivered, which differs for retried events); throws when it is not stored
+   */
+  async postEventData(eventData) {
+    const day = new Date(eventData.timestamp || Date.now()).toISOString().split('T')[0];
+    const binId = `analytics-${day}`;
+
+    const response = await this.callDependency('jsonbin-analytics', () =>
+      this.http.request('jsonbin-analytics', `${this.config.APIs.DATA_STORAGE}/b/${binId}`, {
+        method: 'POST',
+        headers: {
+          'X-Master-Key': this.config.KEYS.JSONBIN,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(eventData)
+      })
+    );
+
+    if (!response.ok) {
+      throw new Error(`jsonbin-analytics responded ${response.status}`);
+    }
+  }
+
+  /**
+   * Post an alert to the Slack incoming webhook; throws when it is not accepted
+   */
+  async postSlackAlert(alert) {
+    const url = this.config.ALERTS.SLACK_WEBHOOK_URL;
+    const response = await this.callDependency('slack', () =>
+      this.http.request('slack', url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(slackPayload(alert))
+      })
+    );
+
+    if (!response.ok) {
+      throw new Error(`slack responded ${response.status}`);
+    }
+  }
+
+  /**
+   * Email an alert over SMTP; throws when the server does not take it
+   */
+  async emailAlert(alert) {
+    const email = this.config.ALERTS.EMAIL;
+    const { subject, text } = formatAlert(alert);
+
+    await this.breakerFor('smtp').execute(() => sendMail({
+      host: email.SMTP_HOST,
+      port: email.SMTP_PORT,
+      secure: email.SECURE,
+      username: email.USERNAME,
+      password: email.PASSWORD,
+      allowInsecureAuth: email.ALLOW_INSECURE_AUTH,
+      from: email.FROM,
+      to: email.TO,
+      subject,
+      text,
+      timeout: this.config.REQUEST_TIMEOUT
+    }));
+  }
+}
+
+/**
+ * Webhook subscriptions from WEBHOOK_SUBSCRIPTIONS, plus KEYS.WEBHOOK_URL as 'default'
+ */
+function configuredSubscriptions(config) {
+  const settings = config.WEBHOOK_SUBSCRIPTIONS || {};
+  const subscriptions = [...(settings.LIST || [])];
+
+  if (settings.FILE) {
+    const data = readJsonFile(settings.FILE, null);
+    if (!data) {
+      throw new Error(`Webhook subscriptions file ${settings.FILE} not found`);
+    }
+    subscriptions.push(...(Array.isArray(data) ? data : data.subscriptions || []));
+  }
+
+  if (config.KEYS.WEBHOOK_URL) {
+    subscriptions.push({
+      id: 'default',
+      url: config.KEYS.WEBHOOK_URL,
+      secret: config.WEBHOOK_SECURITY?.SIGNING_SECRET || undefined
+    });
+  }
+  return subscriptions;
+}
+
+module.exports = { EventSinks, configuredSubscriptions };
@@ -0,0 +1,106 @@
+/**
+ * Geocoding provider chain
+ * Tries providers in configured order and reports which one answered.
+ * A provider whose rate limiter queue is longer than its maxWaitMs is passed over for the next one,
+ * whether that shows before the lookup or only when a retry needs another slot.
+ */
+
+const { RateLimiter, RateLimitQueueFullError } = require('../rate-limiter');
+const { LruCache } = require('../cache');
+const { CircuitOpenError } = require('../circuit-breaker');
+
+class GeocoderChain {
+  constructor(providers, options = {}) {
+    const rateLimits = options.rateLimits || {};
+
+    // HTTP providers limit each request attempt themselves; others are limited per lookup here
+    this.providers = providers.map(provider => ({
+      provider,
+      ownLimiter: Boolean(provider.limiter),
+      limiter: provider.limiter ||
+        new RateLimiter(rateLimits[provider.name] ?? provider.minIntervalMs ?? 0, { maxWaitMs: options.maxQueueMs })
+    }));
+    this.cache = options.cache || new LruCache({ maxSize: 10000 });
+    // Optional provider name -> CircuitBreaker (or null); providers with an open circuit are skipped
+    this.breakerFor = options.breakerFor || (() => null);
+    this.stats = {};
+    providers.forEach(provider => {
+      this.stats[provider.name] = { hits: 0, misses: 0, errors: 0, skipped: 0, queueFull: 0 };
+    });
+  }
+
+  /**
+   * Resolve a postal code to { lat, lng, source } or null if no provider knows it
+   */
+  async lookup(postalCode, country = 'US') {
+    return this.resolve(`${country}:${postalCode}`, 'lookup', [postalCode, country]);
+  }
+
+  /**
+   * Resolve a street address with the providers that support address search
+   * Resolves to { lat, lng, source } or null; callers fall back to the ZIP centroid
+   */
+  async lookupAddress(address, country = 'US') {
+    const parts = [address.line1, address.line2, address.city, address.state, address.zip];
+    return this.resolve(`${country}:${parts.join('|').toLowerCase()}`, 'lookupAddress', [address, country]);
+  }
+
+  /**
+   * Walk the providers implementing `method` until one returns coordinates
+   */
+  async resolve(key, method, args) {
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    for (const { provider, ownLimiter, limiter } of this.providers) {
+      if (typeof provider[method] !== 'function') continue;
+
+      const stats = this.stats[provider.name];
+
+      // Checked before the breaker so our own backlog never counts against the provider
+      if (limiter.waitTime() > limiter.maxWaitMs) {
+        stats.queueFull++;
+        continue;
+      }
+
+      const breaker = this.breakerFor(provider.name);
+      const call = ownLimiter
+        ? () => provider[method](...args)
+        : () => limiter.schedule(() => provider[method](...args));
+
+      try {
+        const coords = await (breaker ? breaker.execute(call) : call());
+
+        if (coords) {
+          stats.hits++;
+          const result = { lat: coords.lat, lng: coords.lng, source: provider.name };
+          this.cache.set(key, result);
+          return result;
+        }
+
+        stats.misses++;
+      } catch (error) {
+        if (error instanceof CircuitOpenError) {
+          stats.skipped++;
+          continue;
+        }
+        if (error instanceof RateLimitQueueFullError) {
+          stats.queueFull++;
+          continue;
+        }
+        stats.errors++;
+        console.warn(`Geocoding via ${provider.name} failed for ${key}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  getStats() {
+    return JSON.parse(JSON.stringify(this.stats));
+  }
+}
+
+module.exports = { GeocoderChain };
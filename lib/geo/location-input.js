@@ -0,0 +1,137 @@
+/**
+ * Lead location input normalization
+ * Accepts a postal code (ZIP, ZIP+4, Canadian, UK or Australian), a street
+ * address or raw lat/lng and reduces them to one shape the router can geocode
+ */
+
+const { normalizeCountry, normalizePostalCode, describePostalCode } = require('./postal-codes');
+
+// Blank form fields (lat: '', '  ' or null) count as not given; Number('') would be 0
+function coordinateValue(...values) {
+  const value = values.find(candidate => candidate !== undefined && candidate !== null);
+  return typeof value === 'string' && value.trim() === '' ? undefined : value;
+}
+
+/**
+ * Pull raw coordinates off a lead: lead.location, lead.lat/lng or lead.latitude/longitude
+ */
+function extractCoordinates(lead) {
+  const source = lead.location || lead;
+  const lat = coordinateValue(source.lat, source.latitude);
+  const lng = coordinateValue(source.lng, source.lon, source.longitude);
+
+  if (lat === undefined && lng === undefined) return undefined;
+
+  return { lat: Number(lat), lng: Number(lng) };
+}
+
+function isValidCoordinate(coords) {
+  return Number.isFinite(coords.lat) && Number.isFinite(coords.lng) &&
+    Math.abs(coords.lat) <= 90 && Math.abs(coords.lng) <= 180;
+}
+
+/**
+ * Accept either an address string or { line1, line2, city, state, zip, country }
+ */
+function normalizeAddress(address) {
+  if (typeof address === 'string') {
+    const line1 = address.trim();
+    return line1 ? { line1, line2: null, city: null, state: null, zip: null, country: null } : null;
+  }
+
+  if (!address || typeof address !== 'object') return null;
+
+  const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const normalized = {
+    line1: clean(address.line1 || address.address1 || address.street),
+    line2: clean(address.line2 || address.address2),
+    city: clean(address.city),
+    state: clean(address.state) && clean(address.state).toUpperCase(),
+    zip: clean(address.zip || address.postalCode),
+    country: clean(address.country)
+  };
+
+  return normalized.line1 || normalized.city || normalized.zip ? normalized : null;
+}
+
+/**
+ * Lead country: lead.country, then address.country, then the configured default
+ */
+function resolveCountry(lead, defaultCountry = 'US') {
+  const raw = lead.country ?? (typeof lead.address === 'object' ? lead.address?.country : undefined);
+  return normalizeCountry(raw, defaultCountry);
+}
+
+/**
+ * Validate a lead's identity and location fields
+ * Returns a list of { field, message }; empty when the lead can be routed
+ */
+function validateLeadInput(lead, defaultCountry = 'US') {
+  if (!lead || typeof lead !== 'object') {
+    return [{ field: 'lead', message: 'Lead must be an object' }];
+  }
+
+  const errors = [];
+
+  if (!lead.id) {
+    errors.push({ field: 'id', message: 'Lead id is required' });
+  }
+
+  const country = resolveCountry(lead, defaultCountry);
+  if (!country) {
+    errors.push({ field: 'country', message: `Unsupported country "${lead.country ?? lead.address?.country}"` });
+  }
+
+  const coords = extractCoordinates(lead);
+  if (coords !== undefined && !isValidCoordinate(coords)) {
+    errors.push({ field: 'location', message: 'Latitude must be within ±90 and longitude within ±180' });
+  }
+
+  const postalCode = lead.zip ?? lead.postalCode;
+  if (country && postalCode !== undefined && postalCode !== null && postalCode !== '' &&
+      !normalizePostalCode(postalCode, country)) {
+    errors.push({ field: 'zip', message: `"${postalCode}" is not ${describePostalCode(country)}` });
+  }
+
+  if (lead.address !== undefined) {
+    const address = normalizeAddress(lead.address);
+    if (!address) {
+      errors.push({ field: 'address', message: 'Address needs at least a street line, city or postal code' });
+    } else if (country && address.zip && !normalizePostalCode(address.zip, country)) {
+      errors.push({ field: 'address.zip', message: `"${address.zip}" is not ${describePostalCode(country)}` });
+    }
+  }
+
+  if (!postalCode && coords === undefined && lead.address === undefined) {
+    errors.push({ field: 'zip', message: 'A postal code, address or lat/lng is required' });
+  }
+
+  return errors;
+}
+
+/**
+ * Reduce a validated lead to { country, postalCode, zip4, address, coords }
+ * postalCode falls back to the address one so the centroid is always available as a last resort
+ */
+function normalizeLeadLocation(lead, defaultCountry = 'US') {
+  const country = resolveCountry(lead, defaultCountry) || defaultCountry;
+  const address = lead.address !== undefined ? normalizeAddress(lead.address) : null;
+  const postal = normalizePostalCode(lead.zip ?? lead.postalCode, country) ||
+    normalizePostalCode(address?.zip, country);
+  const coords = extractCoordinates(lead);
+
+  return {
+    country,
+    postalCode: postal?.postalCode || null,
+    zip4: postal?.extension || null,
+    address: address ? { ...address, zip: postal?.postalCode || address.zip, country } : null,
+    coords: coords && isValidCoordinate(coords) ? coords : null
+  };
+}
+
+module.exports = {
+  normalizeAddress,
+  resolveCountry,
+  validateLeadInput,
+  normalizeLeadLocation
+};
@@ -0,0 +1,93 @@
+/**
+ * Per-country postal code validation and normalization
+ * Supported: US ZIP / ZIP+4, Canadian postal codes, UK postcodes, Australian postcodes
+ */
+
+const POSTAL_CODE_RULES = {
+  US: {
+    pattern: /^(\d{5})(?:[-\s]?(\d{4}))?$/,
+    format: match => match[1],
+    area: match => match[1],
+    extension: match => match[2] || null,
+    description: 'a 5-digit ZIP or ZIP+4'
+  },
+  CA: {
+    pattern: /^([A-Z]\d[A-Z])\s?(\d[A-Z]\d)$/,
+    format: match => `${match[1]} ${match[2]}`,
+    area: match => match[1], // Forward sortation area, e.g. M5V
+    extension: () => null,
+    description: 'a Canadian postal code like M5V 3L9'
+  },
+  GB: {
+    pattern: /^([A-Z]{1,2}\d[A-Z\d]?)\s?(\d[A-Z]{2})$/,
+    format: match => `${match[1]} ${match[2]}`,
+    area: match => match[1], // Outward code, e.g. SW1A
+    extension: () => null,
+    description: 'a UK postcode like SW1A 1AA'
+  },
+  AU: {
+    pattern: /^(\d{4})$/,
+    format: match => match[1],
+    area: match => match[1],
+    extension: () => null,
+    description: 'a 4-digit Australian postcode'
+  }
+};
+
+const COUNTRY_ALIASES = {
+  USA: 'US',
+  CAN: 'CA',
+  UK: 'GB',
+  GBR: 'GB',
+  AUS: 'AU'
+};
+
+/**
+ * Map a country field to its ISO 3166 alpha-2 code, or null when unsupported
+ */
+function normalizeCountry(value, fallback = 'US') {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const code = String(value).trim().toUpperCase();
+  const resolved = COUNTRY_ALIASES[code] || code;
+
+  return POSTAL_CODE_RULES[resolved] ? resolved : null;
+}
+
+/**
+ * Normalize a postal code for a country
+ * Returns { postalCode, area, extension } or null when malformed
+ */
+function normalizePostalCode(value, country = 'US') {
+  const rules = POSTAL_CODE_RULES[country];
+  if (!rules || value === undefined || value === null) return null;
+
+  const cleaned = String(value).trim().toUpperCase().replace(/\s+/g, ' ');
+  const match = cleaned.match(rules.pattern);
+  if (!match) return null;
+
+  return {
+    postalCode: rules.format(match),
+    area: rules.area(match),
+    extension: rules.extension(match)
+  };
+}
+
+/**
+ * Coarse lookup key for a normalized code (FSA for Canada, outward code for the UK)
+ */
+function postalCodeArea(postalCode, country = 'US') {
+  return normalizePostalCode(postalCode, country)?.area || postalCode;
+}
+
+function describePostalCode(country) {
+  return POSTAL_CODE_RULES[country]?.description || 'a postal code';
+}
+
+module.exports = {
+  POSTAL_CODE_RULES,
+  normalizeCountry,
+  normalizePostalCode,
+  postalCodeArea,
+  describePostalCode
+};
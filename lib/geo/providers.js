@@ -0,0 +1,234 @@
+/**
+ * Geocoding providers
+ * Every provider exposes `name` and `async lookup(postalCode, country)`,
+ * resolving to { lat, lng } or null when it has no answer. Providers that can
+ * geocode street addresses also implement `async lookupAddress(address, country)`.
+ * HTTP providers own a `limiter` that every request attempt (retries included) waits on.
+ */
+
+const { ZipCentroidDatabase } = require('./zip-centroids');
+const { postalCodeArea } = require('./postal-codes');
+const { HttpClient } = require('../http-client');
+const { RateLimiter } = require('../rate-limiter');
+
+// From minIntervalMs / maxQueueMs, unless a limiter to share is given
+function createLimiter(options, defaultIntervalMs = 0) {
+  return options.limiter || new RateLimiter(options.minIntervalMs ?? defaultIntervalMs, { maxWaitMs: options.maxQueueMs });
+}
+
+/**
+ * Bundled offline centroid table - no network, deterministic
+ */
+class LocalTableProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.database = options.database || new ZipCentroidDatabase(options);
+  }
+
+  async lookup(postalCode, country = 'US') {
+    // Full code first, then the coarser area (FSA / outward code) tables often hold
+    return this.database.lookup(postalCode, country) ||
+      this.database.lookup(postalCodeArea(postalCode, country), country);
+  }
+}
+
+/**
+ * Zippopotam.us lookup (free, no key required)
+ */
+class ZippopotamProvider {
+  constructor(options = {}) {
+    this.name = 'zippopotam';
+    this.baseUrl = options.baseUrl || 'http://api.zippopotam.us';
+    this.http = options.httpClient || new HttpClient({ timeout: options.timeout });
+    this.limiter = createLimiter(options);
+  }
+
+  async lookup(postalCode, country = 'US') {
+    // Zippopotam only knows Canadian FSAs and UK outward codes
+    const code = country === 'CA' || country === 'GB' ? postalCodeArea(postalCode, country) : postalCode;
+    const url = `${this.baseUrl}/${country.toLowerCase()}/${encodeURIComponent(code)}`;
+    const response = await this.http.request(this.name, url, { method: 'GET', limiter: this.limiter });
+
+    // Unknown codes are a miss, not an outage
+    if (response.status === 404) return null;
+
+    if (!response.ok) {
+      throw new Error(`Zip lookup failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.places && data.places.length > 0) {
+      return {
+        lat: parseFloat(data.places[0].latitude),
+        lng: parseFloat(data.places[0].longitude)
+      };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * OpenStreetMap Nominatim postal code search
+ * Usage policy allows at most one request per second, hence the 1000ms default minIntervalMs
+ */
+class NominatimProvider {
+  constructor(options = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = options.baseUrl || 'https://nominatim.openstreetmap.org';
+    this.http = options.httpClient || new HttpClient({ timeout: options.timeout });
+    this.limiter = createLimiter(options, 1000);
+  }
+
+  async lookup(postalCode, country = 'US') {
+    const params = new URLSearchParams({
+      postalcode: postalCode,
+      countrycodes: country.toLowerCase(),
+      format: 'json',
+      limit: '1'
+    });
+
+    const response = await this.http.request(this.name, `${this.baseUrl}/search?${params}`, { method: 'GET', limiter: this.limiter });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim lookup failed: ${response.status}`);
+    }
+
+    const results = await response.json();
+
+    if (Array.isArray(results) && results.length > 0) {
+      return {
+        lat: parseFloat(results[0].lat),
+        lng: parseFloat(results[0].lon)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Structured street-address search; address is { line1, line2, city, state, zip }
+   */
+  async lookupAddress(address, country = 'US') {
+    const params = new URLSearchParams({ countrycodes: country.toLowerCase(), format: 'json', limit: '1' });
+    if (address.line1) params.set('street', address.line1);
+    if (address.city) params.set('city', address.city);
+    if (address.state) params.set('state', address.state);
+    if (address.zip) params.set('postalcode', address.zip);
+
+    const response = await this.http.request(this.name, `${this.baseUrl}/search?${params}`, { method: 'GET', limiter: this.limiter });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim address lookup failed: ${response.status}`);
+    }
+
+    const results = await response.json();
+
+    if (Array.isArray(results) && results.length > 0) {
+      return {
+        lat: parseFloat(results[0].lat),
+        lng: parseFloat(results[0].lon)
+      };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Generic HTTP provider for in-house geocoders (or test stubs)
+ * The URL template may use {postalCode} and {country}; the response must be
+ * JSON with lat/lng (or latitude/longitude) at the top level
+ */
+class HttpProvider {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HttpProvider requires a url template');
+    }
+
+    this.name = options.name || 'custom';
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.http = options.httpClient || new HttpClient({ timeout: options.timeout });
+    this.limiter = createLimiter(options);
+  }
+
+  async lookup(postalCode, country = 'US') {
+    const url = this.url
+      .replace('{postalCode}', encodeURIComponent(postalCode))
+      .replace('{country}', encodeURIComponent(country.toLowerCase()));
+
+    const response = await this.http.request(this.name, url, { method: 'GET', headers: this.headers, limiter: this.limiter });
+
+    if (response.status === 404) return null;
+
+    if (!response.ok) {
+      throw new Error(`${this.name} lookup failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const lat = parseFloat(data.lat ?? data.latitude);
+    const lng = parseFloat(data.lng ?? data.longitude);
+
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  }
+}
+
+/**
+ * Build the provider list from config, in order
+ * Entries are provider names or ready-made provider objects (e.g. test fakes);
+ * `database` lets the local provider share a ZipCentroidDatabase
+ */
+function createProviders(names, config = {}, httpClient = null, database = null) {
+  const limits = name => ({
+    minIntervalMs: config.GEOCODING?.RATE_LIMITS?.[name],
+    maxQueueMs: config.GEOCODING?.MAX_QUEUE_MS
+  });
+
+  return names.map(name => {
+    if (typeof name === 'object') {
+      return name;
+    }
+
+    switch (name) {
+      case 'local':
+        return new LocalTableProvider({
+          database,
+          dataDir: config.GEOCODING?.DATA_DIR,
+          versions: config.GEOCODING?.DATA_VERSIONS
+        });
+      case 'zippopotam':
+        return new ZippopotamProvider({
+          baseUrl: config.APIs?.ZIP_LOOKUP,
+          timeout: config.REQUEST_TIMEOUT,
+          httpClient,
+          ...limits(name)
+        });
+      case 'nominatim':
+        return new NominatimProvider({
+          baseUrl: config.APIs?.GEOCODING_BACKUP,
+          timeout: config.REQUEST_TIMEOUT,
+          httpClient,
+          ...limits(name)
+        });
+      case 'custom':
+        return new HttpProvider({
+          url: config.GEOCODING?.CUSTOM_URL,
+          timeout: config.REQUEST_TIMEOUT,
+          httpClient,
+          ...limits(name)
+        });
+      default:
+        throw new Error(`Unknown geocoding provider: ${name}`);
+    }
+  });
+}
+
+module.exports = {
+  LocalTableProvider,
+  ZippopotamProvider,
+  NominatimProvider,
+  HttpProvider,
+  createProviders
+};
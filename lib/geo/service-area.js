@@ -0,0 +1,263 @@
+/**
+ * Per-location service areas and territory exclusivity
+ *
+ * serviceArea: {
+ *   zips: ['90210'],            // Postal codes always served
+ *   excludeZips: ['90212'],     // Postal codes never served
+ *   polygon: { type: 'Polygon', coordinates: [...] }, // GeoJSON geometry or Feature, [lng, lat]
+ *   radiusMiles: 10,            // Or radiusKm; overrides the global radius
+ *   exclusive: true             // zips and polygon belong to this location alone
+ * }
+ */
+
+const { normalizeCountry, normalizePostalCode } = require('./postal-codes');
+const { ZipCentroidDatabase } = require('./zip-centroids');
+
+const KM_PER_MILE = 1.609344;
+
+/**
+ * Ray-casting test for a single linear ring of [lng, lat] pairs
+ */
+function pointInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > point.lat) !== (yj > point.lat) &&
+      point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * List the polygons of a GeoJSON Polygon, MultiPolygon or Feature wrapping one
+ */
+function polygonsOf(geometry) {
+  const shape = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+
+  if (shape?.type === 'Polygon') return [shape.coordinates];
+  if (shape?.type === 'MultiPolygon') return shape.coordinates;
+  return [];
+}
+
+/**
+ * Point-in-polygon for GeoJSON geometry, honouring holes
+ */
+function pointInPolygon(point, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  );
+}
+
+/**
+ * Normalize a list of postal codes into a Set for the location's country
+ */
+function postalCodeSet(codes, country) {
+  return new Set((codes || []).map(code => normalizePostalCode(code, country)?.postalCode || String(code)));
+}
+
+/**
+ * Pre-process a location's serviceArea once so lookups are cheap
+ */
+function compileServiceArea(location, defaultCountry = 'US') {
+  const area = location.serviceArea;
+  if (!area) return null;
+
+  const country = normalizeCountry(location.country, defaultCountry) || defaultCountry;
+
+  return {
+    country,
+    zips: postalCodeSet(area.zips, country),
+    excludeZips: postalCodeSet(area.excludeZips, country),
+    polygon: area.polygon || null,
+    radiusMiles: area.radiusMiles ?? (area.radiusKm != null ? area.radiusKm / KM_PER_MILE : null),
+    exclusive: Boolean(area.exclusive)
+  };
+}
+
+/**
+ * Decide whether a location serves a lead
+ * Returns the basis ('zip_list', 'polygon', 'radius') or null when it does not
+ * distanceMiles is the straight-line distance to the lead; defaultRadiusMiles the global radius
+ */
+function matchServiceArea(compiled, leadPoint, distanceMiles, defaultRadiusMiles) {
+  if (!compiled) {
+    return distanceMiles <= defaultRadiusMiles ? 'radius' : null;
+  }
+
+  const postalCode = leadPoint.postalCode;
+
+  if (postalCode && compiled.excludeZips.has(postalCode)) return null;
+  if (postalCode && compiled.zips.has(postalCode)) return 'zip_list';
+  if (compiled.polygon && pointInPolygon(leadPoint, compiled.polygon)) return 'polygon';
+
+  // Explicit territories replace the radius unless one is given alongside them
+  const hasTerritory = compiled.zips.size > 0 || compiled.polygon;
+  const radius = compiled.radiusMiles ?? (hasTerritory ? null : defaultRadiusMiles);
+
+  return radius !== null && distanceMiles <= radius ? 'radius' : null;
+}
+
+/**
+ * Find the location holding the lead's point as exclusive territory, if any
+ * ZIP lists need leadPoint.postalCode; for leads that gave only coordinates the router
+ * fills in the nearest ZIP centroid's code
+ */
+function findTerritoryOwner(locations, compiledAreas, leadPoint) {
+  return locations.find((location, i) => {
+    const compiled = compiledAreas[i];
+    if (!compiled?.exclusive) return false;
+    if (leadPoint.postalCode && compiled.excludeZips.has(leadPoint.postalCode)) return false;
+
+    return (leadPoint.postalCode && compiled.zips.has(leadPoint.postalCode)) ||
+      (compiled.polygon && pointInPolygon(leadPoint, compiled.polygon));
+  }) || null;
+}
+
+/**
+ * Proper crossing of two segments; touching endpoints and collinear edges do not count
+ */
+function segmentsIntersect([a, b], [c, d]) {
+  const orient = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  const [o1, o2, o3, o4] = [orient(a, b, c), orient(a, b, d), orient(c, d, a), orient(c, d, b)];
+
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+/**
+ * Whether a [lng, lat] point lies on any ring edge of the geometry
+ */
+function onBoundary([lng, lat], geometry) {
+  return polygonsOf(geometry).some(rings => rings.some(ring => ring.slice(1).some((b, i) => {
+    const a = ring[i];
+    const cross = (b[0] - a[0]) * (lat - a[1]) - (b[1] - a[1]) * (lng - a[0]);
+    return Math.abs(cross) < 1e-12 &&
+      lng >= Math.min(a[0], b[0]) && lng <= Math.max(a[0], b[0]) &&
+      lat >= Math.min(a[1], b[1]) && lat <= Math.max(a[1], b[1]);
+  })));
+}
+
+/**
+ * Whether two GeoJSON polygons overlap (shared area, not just a shared edge or corner)
+ */
+function polygonsOverlap(geometryA, geometryB) {
+  // Vertices strictly inside the other polygon, plus each ring's vertex average
+  // so identical or nested shapes sharing every vertex are still caught
+  const samplePoints = geometry => polygonsOf(geometry).flatMap(([outer]) => {
+    const vertices = outer.slice(0, -1);
+    const centre = [
+      vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length,
+      vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length
+    ];
+    return pointInPolygon({ lng: centre[0], lat: centre[1] }, geometry) ? [...vertices, centre] : vertices;
+  });
+  const strictlyInside = (from, to) => samplePoints(from).some(point =>
+    !onBoundary(point, to) && pointInPolygon({ lng: point[0], lat: point[1] }, to)
+  );
+
+  if (strictlyInside(geometryA, geometryB) || strictlyInside(geometryB, geometryA)) return true;
+
+  const edges = geometry => polygonsOf(geometry).flatMap(([outer]) =>
+    outer.slice(1).map((point, i) => [outer[i], point])
+  );
+  const edgesB = edges(geometryB);
+
+  return edges(geometryA).some(edgeA => edgesB.some(edgeB => segmentsIntersect(edgeA, edgeB)));
+}
+
+/**
+ * Report territory conflicts across all location configs
+ * ZIP lists are compared with other locations' polygons through each ZIP's centroid
+ * Returns a list of { type, severity, locations, detail }
+ */
+function findTerritoryConflicts(locations, defaultCountry = 'US', database = new ZipCentroidDatabase()) {
+  const conflicts = [];
+  const compiled = locations.map(location => compileServiceArea(location, defaultCountry));
+  const zipOwners = new Map();
+
+  locations.forEach((location, i) => {
+    const area = compiled[i];
+    if (!area) return;
+
+    area.zips.forEach(zip => {
+      if (area.excludeZips.has(zip)) {
+        conflicts.push({
+          type: 'zip_included_and_excluded',
+          severity: 'error',
+          locations: [location.id],
+          detail: `${zip} is in both zips and excludeZips`
+        });
+      }
+
+      const key = `${area.country}:${zip}`;
+      if (!zipOwners.has(key)) zipOwners.set(key, []);
+      zipOwners.get(key).push({ location, exclusive: area.exclusive });
+    });
+  });
+
+  zipOwners.forEach((owners, key) => {
+    if (owners.length < 2) return;
+
+    conflicts.push({
+      type: owners.some(owner => owner.exclusive) ? 'exclusive_zip_overlap' : 'shared_zip',
+      severity: owners.some(owner => owner.exclusive) ? 'error' : 'warning',
+      locations: owners.map(owner => owner.location.id),
+      detail: `${key.split(':')[1]} is listed by ${owners.length} locations`
+    });
+  });
+
+  for (let i = 0; i < locations.length; i++) {
+    for (let j = i + 1; j < locations.length; j++) {
+      const a = compiled[i];
+      const b = compiled[j];
+      if (!a?.polygon || !b?.polygon || !(a.exclusive || b.exclusive)) continue;
+
+      if (polygonsOverlap(a.polygon, b.polygon)) {
+        conflicts.push({
+          type: 'exclusive_polygon_overlap',
+          severity: 'error',
+          locations: [locations[i].id, locations[j].id],
+          detail: 'Service area polygons overlap'
+        });
+      }
+    }
+  }
+
+  locations.forEach((zipLocation, i) => {
+    locations.forEach((polygonLocation, j) => {
+      const a = compiled[i];
+      const b = compiled[j];
+      if (i === j || !a?.zips.size || !b?.polygon || !(a.exclusive || b.exclusive)) return;
+
+      const inside = Array.from(a.zips).filter(zip => {
+        if (b.excludeZips.has(zip) || b.zips.has(zip)) return false; // Not served, or already reported as a shared ZIP
+        const centroid = database.lookup(zip, a.country);
+        return centroid && pointInPolygon(centroid, b.polygon);
+      });
+
+      if (inside.length > 0) {
+        conflicts.push({
+          type: 'exclusive_zip_polygon_overlap',
+          severity: 'error',
+          locations: [zipLocation.id, polygonLocation.id],
+          detail: `${inside.join(', ')} listed by ${zipLocation.id} lie${inside.length === 1 ? 's' : ''} inside ${polygonLocation.id}'s polygon`
+        });
+      }
+    });
+  });
+
+  return conflicts;
+}
+
+module.exports = {
+  pointInPolygon,
+  compileServiceArea,
+  matchServiceArea,
+  findTerritoryOwner,
+  polygonsOverlap,
+  findTerritoryConflicts
+};
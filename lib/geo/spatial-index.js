@@ -0,0 +1,125 @@
+/**
+ * Spatial index for location lookups
+ * A 3-d tree over unit-sphere coordinates: great-circle radius queries become
+ * chord-length queries, so there is no special casing near the poles or antimeridian
+ */
+
+const EARTH_RADIUS_MILES = 3959;
+
+function toUnitVector({ lat, lng }) {
+  const phi = lat * Math.PI / 180;
+  const lambda = lng * Math.PI / 180;
+
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function squaredDistance(a, b) {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Chord length on the unit sphere for a great-circle distance in miles
+ */
+function chordForMiles(miles) {
+  const angle = Math.min(Math.PI, miles / EARTH_RADIUS_MILES);
+  return 2 * Math.sin(angle / 2);
+}
+
+function milesForChord(chord) {
+  return 2 * Math.asin(Math.min(1, chord / 2)) * EARTH_RADIUS_MILES;
+}
+
+class SpatialIndex {
+  /**
+   * entries: [{ lat, lng, item }]
+   */
+  constructor(entries = []) {
+    const points = entries.map(entry => ({ vector: toUnitVector(entry), item: entry.item }));
+    this.size = points.length;
+    this.root = build(points, 0);
+  }
+
+  /**
+   * Items within `radiusMiles` of the point, nearest first, as { item, distanceMiles }
+   */
+  withinRadius(point, radiusMiles) {
+    const target = toUnitVector(point);
+    const chord = chordForMiles(radiusMiles);
+    const limit = chord * chord;
+    const found = [];
+
+    const visit = node => {
+      if (!node) return;
+
+      const d2 = squaredDistance(target, node.vector);
+      if (d2 <= limit) {
+        found.push({ item: node.item, chord: Math.sqrt(d2) });
+      }
+
+      const delta = target[node.axis] - node.vector[node.axis];
+      visit(delta <= 0 ? node.left : node.right);
+      if (delta * delta <= limit) {
+        visit(delta <= 0 ? node.right : node.left);
+      }
+    };
+
+    visit(this.root);
+
+    return found
+      .sort((a, b) => a.chord - b.chord)
+      .map(({ item, chord: c }) => ({ item, distanceMiles: milesForChord(c) }));
+  }
+
+  /**
+   * The k nearest items to the point, nearest first, as { item, distanceMiles }
+   */
+  nearest(point, k = 1) {
+    const target = toUnitVector(point);
+    const best = []; // Sorted ascending by d2, at most k long
+
+    const consider = (node, d2) => {
+      if (best.length < k || d2 < best[best.length - 1].d2) {
+        const at = best.findIndex(entry => entry.d2 > d2);
+        best.splice(at === -1 ? best.length : at, 0, { item: node.item, d2 });
+        if (best.length > k) best.pop();
+      }
+    };
+
+    const visit = node => {
+      if (!node) return;
+
+      consider(node, squaredDistance(target, node.vector));
+
+      const delta = target[node.axis] - node.vector[node.axis];
+      visit(delta <= 0 ? node.left : node.right);
+      if (best.length < k || delta * delta < best[best.length - 1].d2) {
+        visit(delta <= 0 ? node.right : node.left);
+      }
+    };
+
+    visit(this.root);
+
+    return best.map(({ item, d2 }) => ({ item, distanceMiles: milesForChord(Math.sqrt(d2)) }));
+  }
+}
+
+function build(points, depth) {
+  if (points.length === 0) return null;
+
+  const axis = depth % 3;
+  points.sort((a, b) => a.vector[axis] - b.vector[axis]);
+  const median = Math.floor(points.length / 2);
+
+  return {
+    axis,
+    vector: points[median].vector,
+    item: points[median].item,
+    left: build(points.slice(0, median), depth + 1),
+    right: build(points.slice(median + 1), depth + 1)
+  };
+}
+
+module.exports = { SpatialIndex };
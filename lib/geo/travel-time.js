@@ -0,0 +1,95 @@
+/**
+ * Travel-time estimators
+ * Every estimator exposes `name` and `async estimate(origin, destinations)`,
+ * resolving to one drive time in minutes (or null when unknown) per destination.
+ * origin is { lat, lng, postalCode }; destinations are { id, lat, lng }
+ */
+
+const fs = require('fs');
+const { HttpClient } = require('../http-client');
+
+/**
+ * Precomputed travel-time matrix keyed by origin postal code then location id
+ * File shape: { "version": "...", "origins": { "90210": { "loc_001": 12.5 } } }
+ */
+class MatrixTravelTimeEstimator {
+  constructor(options = {}) {
+    this.name = 'matrix';
+    this.matrix = options.matrix || JSON.parse(fs.readFileSync(options.file, 'utf8'));
+  }
+
+  async estimate(origin, destinations) {
+    const row = origin.postalCode ? this.matrix.origins?.[origin.postalCode] : null;
+
+    return destinations.map(destination => {
+      const minutes = row?.[destination.id];
+      return typeof minutes === 'number' ? minutes : null;
+    });
+  }
+}
+
+/**
+ * OSRM-compatible table service, e.g. a local osrm-routed on port 5000
+ * One request per lead covers every candidate location
+ */
+class OsrmTravelTimeEstimator {
+  constructor(options = {}) {
+    this.name = 'osrm';
+    this.baseUrl = options.baseUrl || 'http://localhost:5000';
+    this.profile = options.profile || 'driving';
+    this.http = options.httpClient || new HttpClient({ timeout: options.timeout });
+  }
+
+  async estimate(origin, destinations) {
+    if (destinations.length === 0) return [];
+
+    const points = [origin, ...destinations].map(point => `${point.lng},${point.lat}`).join(';');
+    const url = `${this.baseUrl}/table/v1/${this.profile}/${points}?sources=0&annotations=duration`;
+
+    const response = await this.http.request(this.name, url, { method: 'GET' });
+
+    if (!response.ok) {
+      throw new Error(`OSRM table request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.code !== 'Ok' || !Array.isArray(data.durations)) {
+      throw new Error(`OSRM table request failed: ${data.code || 'malformed response'}`);
+    }
+
+    // durations[0][0] is origin -> origin; seconds to minutes for the rest
+    return data.durations[0].slice(1).map(seconds => (seconds === null ? null : seconds / 60));
+  }
+}
+
+/**
+ * Build the estimator named in config; objects are passed through (e.g. test fakes)
+ */
+function createTravelTimeEstimator(config = {}, httpClient = null) {
+  const settings = config.TRAVEL_TIME || {};
+  const estimator = settings.ESTIMATOR;
+
+  if (!estimator) return null;
+  if (typeof estimator === 'object') return estimator;
+
+  switch (estimator) {
+    case 'matrix':
+      return new MatrixTravelTimeEstimator({ file: settings.MATRIX_FILE });
+    case 'osrm':
+      return new OsrmTravelTimeEstimator({
+        baseUrl: settings.OSRM_URL,
+        profile: settings.OSRM_PROFILE,
+        timeout: config.REQUEST_TIMEOUT,
+        httpClient
+      });
+    default:
+      throw new Error(`Unknown travel-time estimator: ${estimator}`);
+  }
+}
+
+module.exports = {
+  MatrixTravelTimeEstimator,
+  OsrmTravelTimeEstimator,
+  createTravelTimeEstimator
+};
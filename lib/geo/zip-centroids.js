@@ -0,0 +1,129 @@
+/**
+ * Offline ZIP centroid database
+ * Loads versioned postal code -> lat/lng tables bundled under data/zip-centroids
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SpatialIndex } = require('./spatial-index');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data', 'zip-centroids');
+
+class ZipCentroidDatabase {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.versions = options.versions || {};
+    this.manifest = null;
+    this.datasets = new Map();
+  }
+
+  /**
+   * Read the manifest listing each country's data files by version and which one is current
+   */
+  loadManifest() {
+    if (!this.manifest) {
+      const manifestPath = path.join(this.dataDir, 'manifest.json');
+      this.manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Load (once) the dataset for a country: the configured version, else the manifest's current one
+   */
+  loadDataset(country = 'US') {
+    const key = country.toUpperCase();
+    if (this.datasets.has(key)) {
+      return this.datasets.get(key);
+    }
+
+    const entry = this.loadManifest()[key];
+    if (!entry) {
+      this.datasets.set(key, null);
+      return null;
+    }
+
+    const version = this.versions[key] || entry.current;
+    const file = entry.versions?.[version];
+    if (!file) {
+      const available = Object.keys(entry.versions || {}).join(', ') || 'none';
+      throw new Error(`No ZIP centroid data version ${version} for ${key} (available: ${available})`);
+    }
+
+    const dataset = {
+      country: key,
+      version,
+      source: file.source,
+      entries: parseCentroidFile(fs.readFileSync(path.join(this.dataDir, file.file), 'utf8'))
+    };
+
+    this.datasets.set(key, dataset);
+    return dataset;
+  }
+
+  /**
+   * Look up the centroid for a postal code, or null when it is not in the table
+   */
+  lookup(postalCode, country = 'US') {
+    const dataset = this.loadDataset(country);
+    if (!dataset || !postalCode) return null;
+
+    const coords = dataset.entries.get(String(postalCode).trim());
+    return coords ? { lat: coords.lat, lng: coords.lng } : null;
+  }
+
+  has(postalCode, country = 'US') {
+    return this.lookup(postalCode, country) !== null;
+  }
+
+  /**
+   * The postal code whose centroid is nearest the point, as { postalCode, distanceMiles },
+   * or null when none lies within maxMiles. The index is built on first use.
+   */
+  nearest(point, country = 'US', maxMiles = Infinity) {
+    const dataset = this.loadDataset(country);
+    if (!dataset) return null;
+
+    if (!dataset.index) {
+      dataset.index = new SpatialIndex(Array.from(dataset.entries, ([code, coords]) => ({ ...coords, item: code })));
+    }
+
+    const [match] = dataset.index.nearest(point, 1);
+    return match && match.distanceMiles <= maxMiles
+      ? { postalCode: match.item, distanceMiles: match.distanceMiles }
+      : null;
+  }
+
+  /**
+   * Describe the datasets that have been loaded so far
+   */
+  getInfo() {
+    return Array.from(this.datasets.values())
+      .filter(Boolean)
+      .map(dataset => ({
+        country: dataset.country,
+        version: dataset.version,
+        source: dataset.source,
+        size: dataset.entries.size
+      }));
+  }
+}
+
+/**
+ * Parse a "zip,lat,lng" CSV; lines starting with # are comments
+ */
+function parseCentroidFile(contents) {
+  const entries = new Map();
+
+  contents.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('zip,')) return;
+
+    const [code, lat, lng] = trimmed.split(',');
+    entries.set(code, { lat: parseFloat(lat), lng: parseFloat(lng) });
+  });
+
+  return entries;
+}
+
+module.exports = { ZipCentroidDatabase, parseCentroidFile, DEFAULT_DATA_DIR };
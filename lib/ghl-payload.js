@@ -0,0 +1,99 @@
+/**
+ * GHL webhook payload -> router lead
+ * Workflow webhooks send the contact flat with snake_case fields (contact_id, first_name,
+ * postal_code, ...), the sub-account under `location` and custom fields under `customData`.
+ * camelCase lead fields are accepted as well, so already-shaped leads pass straight through.
+ * Note that GHL's `location` is the sub-account, never the lead's coordinates.
+ */
+
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function numberOrUndefined(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === 'yes' || value === '1' || value === 1;
+}
+
+/**
+ * The GHL sub-account (location) a payload came from, or null
+ */
+function subAccountId(payload) {
+  return firstDefined(payload?.location?.id, payload?.locationId, payload?.location_id) ?? null;
+}
+
+/**
+ * Problems that make a payload unusable before it reaches the router, as [{ field, message }]
+ */
+function validateGhlPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: 'body', message: 'Body must be a JSON object' }];
+  }
+  if (payload.customData !== undefined && (typeof payload.customData !== 'object' || payload.customData === null)) {
+    return [{ field: 'customData', message: 'customData must be an object' }];
+  }
+  return [];
+}
+
+/**
+ * Map a contact webhook payload to the lead shape routeLead expects
+ */
+function leadFromGhlPayload(payload) {
+  const custom = payload.customData || {};
+  const attribution = payload.attributionSource || payload.contact?.attributionSource || {};
+  const contactId = firstDefined(payload.contact_id, payload.contactId, payload.id);
+
+  const address1 = firstDefined(payload.address1, payload.address);
+  const postalCode = firstDefined(payload.postal_code, payload.postalCode, payload.zip, custom.postal_code, custom.zip);
+  const source = firstDefined(custom.source, payload.source, payload.contact_source);
+
+  const lead = {
+    id: firstDefined(custom.lead_id, payload.lead_id, contactId),
+    contactId,
+    firstName: firstDefined(payload.first_name, payload.firstName),
+    lastName: firstDefined(payload.last_name, payload.lastName),
+    name: firstDefined(payload.full_name, payload.name),
+    email: firstDefined(payload.email),
+    phone: firstDefined(payload.phone),
+    zip: postalCode,
+    country: firstDefined(payload.country),
+    timezone: firstDefined(payload.timezone),
+    source: source ? String(source).trim().toLowerCase() : undefined,
+    leadScore: numberOrUndefined(firstDefined(custom.lead_score, custom.leadScore, payload.leadScore)),
+    utm_source: firstDefined(custom.utm_source, attribution.utmSource),
+    utm_medium: firstDefined(custom.utm_medium, attribution.utmMedium),
+    utm_campaign: firstDefined(custom.utm_campaign, attribution.utmCampaign, attribution.campaign),
+    tags: Array.isArray(payload.tags) ? payload.tags : typeof payload.tags === 'string' ? payload.tags.split(',').map(tag => tag.trim()) : undefined,
+    stickyOverride: isTrue(firstDefined(custom.sticky_override, payload.stickyOverride)) || undefined,
+    ghlLocationId: subAccountId(payload) ?? undefined
+  };
+
+  if (address1 && typeof address1 === 'string') {
+    lead.address = {
+      line1: address1,
+      city: firstDefined(payload.city),
+      state: firstDefined(payload.state),
+      zip: postalCode,
+      country: lead.country
+    };
+  }
+
+  const lat = numberOrUndefined(firstDefined(custom.lat, custom.latitude, payload.lat));
+  const lng = numberOrUndefined(firstDefined(custom.lng, custom.longitude, payload.lng));
+  if (lat !== undefined && lng !== undefined) {
+    lead.lat = lat;
+    lead.lng = lng;
+  }
+
+  Object.keys(lead).forEach(key => {
+    if (lead[key] === undefined) delete lead[key];
+  });
+  return lead;
+}
+
+module.exports = { subAccountId, validateGhlPayload, leadFromGhlPayload };
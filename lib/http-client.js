@@ -0,0 +1,193 @@
+/**
+ * Shared HTTP client for every outbound call
+ * Enforces timeouts with AbortController (covering the body as well as the headers),
+ * retries idempotent requests with exponential backoff and full jitter, and keeps
+ * per-endpoint metrics
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+class HttpTimeoutError extends Error {
+  constructor(url, timeout) {
+    super(`Request to ${url} timed out after ${timeout}ms`);
+    this.name = 'HttpTimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+class HttpClient {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.attempts = Math.max(1, options.attempts || 3);
+    this.baseDelayMs = options.baseDelayMs ?? 200;
+    this.maxDelayMs = options.maxDelayMs ?? 5000;
+    this.random = options.random || Math.random;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.defaultHeaders = { 'User-Agent': options.userAgent || 'GHL-Lead-Router/2.0' };
+    this.endpoints = {};
+  }
+
+  /**
+   * Fetch `url`, recording metrics under `endpoint`
+   * Options are fetch options plus `timeout`, `idempotent` (defaults from the method) and
+   * `limiter`, a RateLimiter whose slot every attempt takes, retries included
+   * Resolves with the final Response; rejects once every attempt failed at the network level
+   * The timeout keeps running until the body has been read, so a stalled body rejects
+   * json() / text() with HttpTimeoutError instead of hanging
+   */
+  async request(endpoint, url, options = {}) {
+    const { timeout = this.timeout, idempotent, limiter, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const attempts = canRetry ? this.attempts : 1;
+    const stats = this.getEndpointStats(endpoint);
+
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        stats.retries++;
+        await sleep(this.backoffDelay(attempt - 1, lastError?.retryAfterMs));
+      }
+      if (limiter) {
+        await limiter.acquire();
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const startTime = Date.now();
+
+      try {
+        const response = await this.fetch(url, {
+          ...fetchOptions,
+          method,
+          headers: { ...this.defaultHeaders, ...fetchOptions.headers },
+          signal: controller.signal
+        });
+        this.recordLatency(stats, Date.now() - startTime);
+
+        if (!isRetryableStatus(response.status)) {
+          if (!response.ok) stats.failures++;
+          return guardBody(response, { controller, timer, stats, url, timeout });
+        }
+
+        clearTimeout(timer);
+        stats.failures++;
+        lastError = Object.assign(new Error(`HTTP ${response.status}`), {
+          response,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      } catch (error) {
+        clearTimeout(timer);
+        this.recordLatency(stats, Date.now() - startTime);
+        stats.failures++;
+
+        if (controller.signal.aborted) {
+          stats.timeouts++;
+          lastError = new HttpTimeoutError(url, timeout);
+        } else {
+          lastError = error;
+        }
+      }
+    }
+
+    // Out of attempts: hand back a retryable response so callers can inspect it
+    if (lastError.response) {
+      return lastError.response;
+    }
+    throw lastError;
+  }
+
+  /**
+   * Exponential backoff with full jitter; honours Retry-After when the server sends one
+   */
+  backoffDelay(retry, retryAfterMs) {
+    if (retryAfterMs !== undefined && retryAfterMs !== null) {
+      return Math.min(this.maxDelayMs, retryAfterMs);
+    }
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (retry - 1));
+    return Math.round(this.random() * ceiling);
+  }
+
+  getEndpointStats(endpoint) {
+    if (!this.endpoints[endpoint]) {
+      this.endpoints[endpoint] = {
+        requests: 0,
+        failures: 0,
+        retries: 0,
+        timeouts: 0,
+        totalLatencyMs: 0,
+        maxLatencyMs: 0
+      };
+    }
+    return this.endpoints[endpoint];
+  }
+
+  recordLatency(stats, latencyMs) {
+    stats.requests++;
+    stats.totalLatencyMs += latencyMs;
+    stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latencyMs);
+  }
+
+  /**
+   * Per-endpoint request, failure, retry and timeout counts with latency
+   */
+  getMetrics() {
+    const metrics = {};
+
+    Object.entries(this.endpoints).forEach(([endpoint, stats]) => {
+      metrics[endpoint] = {
+        requests: stats.requests,
+        failures: stats.failures,
+        retries: stats.retries,
+        timeouts: stats.timeouts,
+        avgLatencyMs: stats.requests ? Math.round(stats.totalLatencyMs / stats.requests) : 0,
+        maxLatencyMs: stats.maxLatencyMs
+      };
+    });
+
+    return metrics;
+  }
+}
+
+/**
+ * Clear the request's timer once the body has been read; a read cut short by it
+ * rejects with HttpTimeoutError. An unread body is cancelled when the timer fires.
+ */
+function guardBody(response, { controller, timer, stats, url, timeout }) {
+  timer.unref?.();
+
+  ['json', 'text', 'arrayBuffer', 'blob', 'formData'].forEach(method => {
+    const read = response[method].bind(response);
+    response[method] = () => read()
+      .catch(error => {
+        if (!controller.signal.aborted) throw error;
+        stats.failures++;
+        stats.timeouts++;
+        throw new HttpTimeoutError(url, timeout);
+      })
+      .finally(() => clearTimeout(timer));
+  });
+
+  return response;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { HttpClient, HttpTimeoutError };
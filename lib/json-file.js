@@ -0,0 +1,45 @@
+/**
+ * Small helpers for JSON state files
+ * Writes go to a temp file first and are renamed into place so a crash never
+ * leaves a half-written file behind
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Local storage backend for router state that must survive restarts
+ * Anything with load() and save(data) can stand in for it
+ */
+class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  load() {
+    return readJsonFile(this.filePath, null);
+  }
+
+  save(data) {
+    writeJsonFileAtomic(this.filePath, data);
+  }
+}
+
+module.exports = { readJsonFile, writeJsonFileAtomic, JsonFileStore };
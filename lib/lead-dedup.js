@@ -0,0 +1,191 @@
+/**
+ * Recent lead index for duplicate detection
+ * Remembers who was routed where for `window` ms. A new lead is a duplicate of a recent one
+ * when its E.164 phone or lowercased email matches and the names are alike (or one side
+ * gave no name), so two people sharing a household phone still route separately.
+ * Saves to the store are batched (persistDelay ms) since the window can hold many leads.
+ * A lead still being routed is held as a pending entry, so a copy arriving in parallel finds
+ * it and can wait for its outcome (entry.pending resolves to the routed entry, or null).
+ */
+
+const { contactIdentity, nameSimilarity } = require('./contact');
+
+class RecentLeadIndex {
+  constructor(options = {}) {
+    this.window = options.window ?? 24 * 60 * 60 * 1000;
+    this.nameThreshold = options.nameThreshold ?? 0.85;
+    this.store = options.store || null; // { load(), save(data) }, e.g. JsonFileStore
+    this.now = options.now || Date.now;
+    this.persistDelay = options.persistDelay ?? 1000;
+    this.persistTimer = null;
+    this.entries = []; // Oldest first
+    this.byKey = new Map(); // 'phone:+1555...' / 'email:...' -> entries
+    this.stats = { checked: 0, duplicates: 0 };
+
+    const saved = this.store ? this.store.load() : null;
+    if (Array.isArray(saved?.entries)) {
+      saved.entries.forEach(entry => this.add(entry));
+      this.prune();
+    }
+  }
+
+  /**
+   * The most recent routed lead this one duplicates, with what matched:
+   * { entry: { leadId, locationId, locationName, routedAt, ... }, matchedOn: ['phone', 'email', 'name'] }
+   * or null; entry.pending is set while the original is still being routed
+   */
+  find(lead, country) {
+    this.prune();
+    this.stats.checked++;
+
+    const identity = contactIdentity(lead, country);
+    if (!identity.phone && !identity.email) return null;
+
+    const candidates = new Set([
+      ...(this.byKey.get(`phone:${identity.phone}`) || []),
+      ...(this.byKey.get(`email:${identity.email}`) || [])
+    ]);
+    const newestFirst = Array.from(candidates).sort((a, b) => b.routedAt - a.routedAt);
+
+    for (const entry of newestFirst) {
+      const matchedOn = [];
+
+      if (identity.phone && identity.phone === entry.phone) matchedOn.push('phone');
+      if (identity.email && identity.email === entry.email) matchedOn.push('email');
+      if (matchedOn.length === 0) continue;
+
+      if (identity.name && entry.name) {
+        const similarity = nameSimilarity(identity.name, entry.name);
+        if (similarity < this.nameThreshold) continue;
+        matchedOn.push('name');
+      }
+
+      if (!entry.pending) this.stats.duplicates++;
+      return { entry, matchedOn };
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a lead as being routed, in the same tick as its find(); returns the pending
+   * entry to pass to record() or release(), or null when the lead has no phone or email
+   */
+  hold(lead, country) {
+    const identity = contactIdentity(lead, country);
+    if (!identity.phone && !identity.email) return null;
+
+    const entry = { leadId: lead.id, ...identity, locationId: null, locationName: null, routedAt: this.now() };
+    entry.pending = new Promise(resolve => {
+      entry.settle = resolve;
+    });
+    this.add(entry);
+    return entry;
+  }
+
+  /**
+   * Forget a held lead whose routing failed; copies waiting on it route on their own
+   */
+  release(held) {
+    if (!held?.pending) return;
+
+    this.remove(held);
+    settle(held, null);
+  }
+
+  /**
+   * Remember a routed lead so later copies find it; `held` is its entry from hold()
+   */
+  record(lead, location, country, held = null) {
+    if (held?.pending) {
+      held.locationId = location.id;
+      held.locationName = location.name;
+      settle(held, held);
+      this.persist();
+      return;
+    }
+
+    const identity = contactIdentity(lead, country);
+    if (!identity.phone && !identity.email) return;
+
+    this.add({
+      leadId: lead.id,
+      ...identity,
+      locationId: location.id,
+      locationName: location.name,
+      routedAt: this.now()
+    });
+    this.persist();
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+    keysOf(entry).forEach(key => {
+      if (!this.byKey.has(key)) this.byKey.set(key, []);
+      this.byKey.get(key).push(entry);
+    });
+  }
+
+  prune() {
+    const cutoff = this.now() - this.window;
+    const firstLive = this.entries.findIndex(entry => entry.routedAt > cutoff);
+    const expired = firstLive === -1 ? this.entries.length : firstLive;
+
+    this.entries.splice(0, expired).forEach(entry => this.unindex(entry));
+    return expired;
+  }
+
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index >= 0) this.entries.splice(index, 1);
+    this.unindex(entry);
+  }
+
+  unindex(entry) {
+    keysOf(entry).forEach(key => {
+      const remaining = (this.byKey.get(key) || []).filter(other => other !== entry);
+      if (remaining.length > 0) {
+        this.byKey.set(key, remaining);
+      } else {
+        this.byKey.delete(key);
+      }
+    });
+  }
+
+  persist() {
+    if (!this.store || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelay);
+    this.persistTimer.unref?.();
+  }
+
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.store) return;
+
+    try {
+      const routed = this.entries.filter(entry => !entry.pending);
+      this.store.save({ version: 1, savedAt: new Date(this.now()).toISOString(), entries: routed });
+    } catch (error) {
+      console.warn('Could not persist recent leads:', error.message);
+    }
+  }
+
+  getStats() {
+    return { tracked: this.entries.length, ...this.stats };
+  }
+}
+
+function settle(entry, outcome) {
+  const resolve = entry.settle;
+  delete entry.pending;
+  delete entry.settle;
+  resolve(outcome);
+}
+
+function keysOf(entry) {
+  return [entry.phone && `phone:${entry.phone}`, entry.email && `email:${entry.email}`].filter(Boolean);
+}
+
+module.exports = { RecentLeadIndex };
@@ -0,0 +1,280 @@
+/**
+ * Lead scoring
+ * A scorer turns a lead into a 0-100 score: score(lead, context) -> { score, model, probability?, explanation }
+ * context: { now, timeZone (the lead's), distance (to the nearest location), distanceUnit }
+ *
+ * explanation: { model, baseScore, baseSource, adjustments, contributionUnit, rawScore, cap, capped }
+ * where each adjustment is { factor, type, value, applied, contribution, detail?, weight? }. Heuristic
+ * contributions are score points that add up from baseScore to rawScore; model contributions
+ * are log-odds that add up from the intercept.
+ *
+ * HeuristicLeadScorer is the original hand-tuned source multiplier table. LogisticLeadScorer
+ * applies a logistic regression model trained by scripts/train-lead-model.js:
+ *   { type: 'logistic', version, intercept, weights: { feature: coefficient },
+ *     features: { distanceScale, distanceUnit }, metrics: { auc, brier, ... } }
+ * and scores the predicted conversion probability as a percentage.
+ */
+
+const { localParts } = require('./time-zone');
+const { readJsonFile } = require('./json-file');
+
+const KM_PER_MILE = 1.609344;
+
+const SOURCE_MULTIPLIERS = {
+  'facebook': 1.2,
+  'google': 1.1,
+  'referral': 1.3,
+  'website': 1.0,
+  'walk-in': 0.9
+};
+
+const UTM_FIELDS = ['source', 'medium', 'campaign'];
+
+function timeOfDay(hour) {
+  if (hour < 6) return 'night';
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  if (hour < 22) return 'evening';
+  return 'night';
+}
+
+function utmValue(lead, field) {
+  const value = lead[`utm_${field}`] ?? lead[`utm${field[0].toUpperCase()}${field.slice(1)}`] ?? lead.utm?.[field];
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+function hasCompleteProfile(lead) {
+  return Boolean(lead.phone && lead.email && lead.firstName);
+}
+
+/**
+ * Sparse feature map for a lead; categorical values become one-hot names like
+ * 'source=facebook' or 'utm_medium=cpc', so a model simply ignores values it never saw
+ * options: { now, timeZone, distance, distanceUnit, distanceScale, scaleUnit }
+ */
+function extractFeatures(lead, options = {}) {
+  const features = {};
+
+  if (Number.isFinite(lead.leadScore)) {
+    features.lead_score = Math.min(100, Math.max(0, lead.leadScore)) / 100;
+  }
+  if (lead.source) {
+    features[`source=${String(lead.source).trim().toLowerCase()}`] = 1;
+  }
+  if (hasCompleteProfile(lead)) {
+    features.profile_complete = 1;
+  }
+
+  const hour = localParts(options.now ?? Date.now(), options.timeZone).hour;
+  features[`time=${timeOfDay(hour)}`] = 1;
+
+  // Closeness to the nearest location: 1 on top of it, 0 at distanceScale or beyond
+  if (Number.isFinite(options.distance)) {
+    const distance = convertDistance(options.distance, options.distanceUnit, options.scaleUnit);
+    const scale = options.distanceScale || 25;
+    features.proximity = Math.max(0, 1 - distance / scale);
+  } else {
+    features.distance_unknown = 1;
+  }
+
+  UTM_FIELDS.forEach(field => {
+    const value = utmValue(lead, field);
+    if (value) features[`utm_${field}=${value}`] = 1;
+  });
+
+  return features;
+}
+
+function convertDistance(distance, fromUnit, toUnit) {
+  if (!fromUnit || !toUnit || fromUnit === toUnit) return distance;
+  return fromUnit === 'km' ? distance / KM_PER_MILE : distance * KM_PER_MILE;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+class HeuristicLeadScorer {
+  constructor(options = {}) {
+    this.name = 'heuristic';
+    this.baseScore = options.baseScore ?? 50;
+  }
+
+  score(lead, context = {}) {
+    const baseScore = lead.leadScore || this.baseScore;
+    const adjustments = [];
+    let score = baseScore;
+
+    const multiplier = SOURCE_MULTIPLIERS[lead.source] || 1.0;
+    adjustments.push({
+      factor: 'source',
+      type: 'multiplier',
+      value: multiplier,
+      applied: multiplier !== 1,
+      contribution: round(score * multiplier - score, 1),
+      detail: lead.source ? `${lead.source} source` : 'no source'
+    });
+    score *= multiplier;
+
+    // Profile completeness
+    const complete = hasCompleteProfile(lead);
+    adjustments.push({
+      factor: 'profile_complete',
+      type: 'bonus',
+      value: 10,
+      applied: complete,
+      contribution: complete ? 10 : 0,
+      detail: complete ? 'phone, email and first name given' : 'needs phone, email and first name'
+    });
+    if (complete) score += 10;
+
+    // Time-based scoring, in the lead's local time
+    const hour = localParts(context.now ?? Date.now(), context.timeZone).hour;
+    const businessHours = hour >= 9 && hour <= 17;
+    adjustments.push({
+      factor: 'business_hours',
+      type: 'bonus',
+      value: 5,
+      applied: businessHours,
+      contribution: businessHours ? 5 : 0,
+      detail: `local hour ${hour}`
+    });
+    if (businessHours) score += 5;
+
+    const finalScore = Math.min(100, Math.round(score));
+
+    return {
+      score: finalScore,
+      model: this.name,
+      explanation: {
+        model: this.name,
+        baseScore,
+        baseSource: lead.leadScore ? 'lead' : 'default',
+        adjustments,
+        contributionUnit: 'points',
+        rawScore: round(score, 1),
+        cap: 100,
+        capped: score > 100
+      }
+    };
+  }
+}
+
+class LogisticLeadScorer {
+  constructor(model) {
+    validateModel(model);
+    this.model = model;
+    this.name = `logistic:${model.version}`;
+  }
+
+  /**
+   * Log-odds of conversion and the features that moved it
+   */
+  predict(lead, context = {}) {
+    const settings = this.model.features || {};
+    const features = extractFeatures(lead, {
+      ...context,
+      distanceScale: settings.distanceScale,
+      scaleUnit: settings.distanceUnit
+    });
+    let logit = this.model.intercept;
+
+    Object.entries(features).forEach(([name, value]) => {
+      logit += (this.model.weights[name] || 0) * value;
+    });
+
+    return { logit, probability: sigmoid(logit), features };
+  }
+
+  score(lead, context = {}) {
+    const { probability, features } = this.predict(lead, context);
+    const adjustments = Object.entries(features)
+      .filter(([name]) => this.model.weights[name])
+      .map(([name, value]) => ({
+        factor: name,
+        type: 'weight',
+        value: round(value, 3),
+        weight: this.model.weights[name],
+        applied: true,
+        contribution: round(this.model.weights[name] * value, 3)
+      }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return {
+      score: Math.round(probability * 100),
+      probability: round(probability, 4),
+      model: this.name,
+      explanation: {
+        model: this.name,
+        baseScore: round(sigmoid(this.model.intercept) * 100, 1),
+        baseSource: 'intercept',
+        adjustments,
+        contributionUnit: 'log-odds',
+        rawScore: round(probability * 100, 1),
+        cap: 100,
+        capped: false
+      }
+    };
+  }
+}
+
+function validateModel(model) {
+  const errors = [];
+
+  if (!model || typeof model !== 'object') {
+    throw new Error('Lead scoring model must be an object');
+  }
+  if (model.type !== 'logistic') {
+    errors.push(`unsupported type "${model.type}"`);
+  }
+  if (!model.version) {
+    errors.push('version is required');
+  }
+  if (!Number.isFinite(model.intercept)) {
+    errors.push('intercept must be a number');
+  }
+  if (!model.weights || typeof model.weights !== 'object') {
+    errors.push('weights must be an object');
+  } else {
+    Object.entries(model.weights)
+      .filter(([, weight]) => !Number.isFinite(weight))
+      .forEach(([name]) => errors.push(`weight for ${name} must be a number`));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid lead scoring model: ${errors.join('; ')}`);
+  }
+}
+
+function loadLeadModel(filePath) {
+  const model = readJsonFile(filePath, null);
+  if (!model) {
+    throw new Error(`Lead scoring model ${filePath} not found`);
+  }
+  return model;
+}
+
+/**
+ * Scorer for a model JSON object, a ready-made scorer (anything with score()),
+ * or the heuristic when there is no model
+ */
+function createLeadScorer({ model = null, baseScore } = {}) {
+  if (!model) return new HeuristicLeadScorer({ baseScore });
+  if (typeof model.score === 'function') return model;
+  return new LogisticLeadScorer(model);
+}
+
+module.exports = {
+  SOURCE_MULTIPLIERS,
+  extractFeatures,
+  sigmoid,
+  HeuristicLeadScorer,
+  LogisticLeadScorer,
+  loadLeadModel,
+  createLeadScorer
+};
@@ -0,0 +1,161 @@
+/**
+ * Weighted multi-factor location scoring
+ * Each factor is normalized to 0..1 (1 is best) and weighted; factors a location has
+ * no data for are left out and the remaining weights rescaled, so a missing
+ * conversion rate neither helps nor hurts. Scores run 0..100.
+ */
+
+const FACTORS = ['distance', 'capacity', 'conversion', 'responseTime', 'priority'];
+
+const DEFAULT_SCORING = {
+  WEIGHTS: { distance: 0.4, capacity: 0.2, conversion: 0.2, responseTime: 0.1, priority: 0.1 },
+  HOT_LEAD_WEIGHTS: { distance: 0.6, capacity: 0.1, conversion: 0.2, responseTime: 0.1, priority: 0 },
+  CAPACITY_SATURATION: 20, // Free slots at which capacity scores 1 when there is no daily cap
+  CONVERSION_TARGET: 0.3, // Historical conversion rate at which conversion scores 1
+  RESPONSE_TIME_CEILING: 60, // Average response minutes at which responseTime scores 0
+  PRIORITY_VALUES: { 'low-traffic': 1, normal: 0.5, 'high-traffic': 0 }
+};
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Raw value and 0..1 score for each factor, or null when the location has no data for it
+ * options: { maxDistance, distanceUnit, maxDriveMinutes, settings }
+ */
+function measureFactors(location, options) {
+  const settings = options.settings;
+  const capacity = location.capacity || {};
+  const factors = {};
+
+  if (Number.isFinite(location.driveMinutes) && options.maxDriveMinutes) {
+    factors.distance = {
+      value: location.driveMinutes,
+      unit: 'minutes',
+      normalized: clamp01(1 - location.driveMinutes / options.maxDriveMinutes)
+    };
+  } else if (Number.isFinite(location.distance) && options.maxDistance) {
+    factors.distance = {
+      value: location.distance,
+      unit: options.distanceUnit,
+      normalized: clamp01(1 - location.distance / options.maxDistance)
+    };
+  } else {
+    factors.distance = null;
+  }
+
+  // Share of the day's capacity still free; availableSlots already includes the daily cap
+  if (Number.isFinite(capacity.availableSlots)) {
+    const reference = capacity.dailyLeadCap > 0 ? capacity.dailyLeadCap : settings.CAPACITY_SATURATION;
+    factors.capacity = {
+      value: capacity.availableSlots,
+      unit: 'slots',
+      normalized: clamp01(capacity.availableSlots / reference)
+    };
+  } else {
+    factors.capacity = null;
+  }
+
+  factors.conversion = Number.isFinite(location.conversionRate)
+    ? {
+      value: location.conversionRate,
+      unit: 'rate',
+      normalized: clamp01(location.conversionRate / settings.CONVERSION_TARGET)
+    }
+    : null;
+
+  factors.responseTime = Number.isFinite(location.avgResponseMinutes)
+    ? {
+      value: location.avgResponseMinutes,
+      unit: 'minutes',
+      normalized: clamp01(1 - location.avgResponseMinutes / settings.RESPONSE_TIME_CEILING)
+    }
+    : null;
+
+  const priority = location.priority || 'normal';
+  factors.priority = priority in settings.PRIORITY_VALUES
+    ? { value: priority, unit: null, normalized: settings.PRIORITY_VALUES[priority] }
+    : null;
+
+  return factors;
+}
+
+/**
+ * Score one location: { score, factors } where each known factor carries
+ * { value, unit, normalized, weight, contribution } and contributions sum to score
+ */
+function scoreLocation(location, weights, options) {
+  const measured = measureFactors(location, options);
+  const known = FACTORS.filter(name => measured[name] && (weights[name] || 0) > 0);
+  const totalWeight = known.reduce((sum, name) => sum + weights[name], 0);
+  const factors = {};
+  let score = 0;
+
+  FACTORS.forEach(name => {
+    if (!measured[name] || !known.includes(name)) {
+      factors[name] = measured[name] ? { ...measured[name], weight: 0, contribution: 0 } : null;
+      return;
+    }
+
+    const weight = weights[name] / totalWeight;
+    const contribution = measured[name].normalized * weight * 100;
+    factors[name] = {
+      ...measured[name],
+      value: typeof measured[name].value === 'number' ? round(measured[name].value, 2) : measured[name].value,
+      normalized: round(measured[name].normalized, 3),
+      weight: round(weight, 3),
+      contribution: round(contribution, 1)
+    };
+    score += contribution;
+  });
+
+  return { score: round(score, 1), factors };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Short human description of a factor, e.g. '3.2 miles away' or '12% conversion'
+ */
+function describeFactor(name, factor) {
+  switch (name) {
+    case 'distance':
+      return factor.unit === 'minutes'
+        ? `${Math.round(factor.value)} min drive`
+        : `${factor.value.toFixed(1)} ${factor.unit} away`;
+    case 'capacity':
+      return `${factor.value} slots left`;
+    case 'conversion':
+      return `${Math.round(factor.value * 100)}% conversion`;
+    case 'responseTime':
+      return `${Math.round(factor.value)} min avg response`;
+    case 'priority':
+      return `${factor.value} location`;
+    default:
+      return name;
+  }
+}
+
+/**
+ * The factors that contributed most to a score, strongest first
+ */
+function topFactors(breakdown, count = 2) {
+  return Object.entries(breakdown.factors)
+    .filter(([, factor]) => factor && factor.contribution > 0)
+    .sort((a, b) => b[1].contribution - a[1].contribution)
+    .slice(0, count)
+    .map(([name, factor]) => describeFactor(name, factor));
+}
+
+module.exports = {
+  FACTORS,
+  DEFAULT_SCORING,
+  measureFactors,
+  scoreLocation,
+  describeFactor,
+  topFactors
+};
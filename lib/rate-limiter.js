@@ -0,0 +1,57 @@
+/**
+ * Minimum-interval rate limiter
+ * Serializes calls so that no two start closer together than `minIntervalMs`.
+ * With `maxWaitMs`, a caller whose slot is further off than that is turned away
+ * with RateLimitQueueFullError instead of queueing, so it can try elsewhere.
+ */
+
+class RateLimitQueueFullError extends Error {
+  constructor(waitMs, maxWaitMs) {
+    super(`Next slot is ${waitMs}ms away, over the ${maxWaitMs}ms queue limit`);
+    this.name = 'RateLimitQueueFullError';
+    this.code = 'EQUEUEFULL';
+  }
+}
+
+class RateLimiter {
+  constructor(minIntervalMs = 0, options = {}) {
+    this.minIntervalMs = minIntervalMs;
+    this.maxWaitMs = options.maxWaitMs ?? Infinity;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * ms a caller arriving now would wait for its slot
+   */
+  waitTime() {
+    return this.minIntervalMs <= 0 ? 0 : Math.max(0, this.nextSlot - Date.now());
+  }
+
+  /**
+   * Wait for the next slot; rejects without taking one when it is more than maxWaitMs away
+   */
+  async acquire() {
+    if (this.minIntervalMs <= 0) return;
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextSlot);
+    if (startAt - now > this.maxWaitMs) {
+      throw new RateLimitQueueFullError(startAt - now, this.maxWaitMs);
+    }
+    this.nextSlot = startAt + this.minIntervalMs;
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Run `task` once the next slot opens; resolves with the task's result
+   */
+  async schedule(task) {
+    await this.acquire();
+    return task();
+  }
+}
+
+module.exports = { RateLimiter, RateLimitQueueFullError };
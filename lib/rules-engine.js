@@ -0,0 +1,288 @@
+/**
+ * Declarative routing rules
+ *
+ * A rule set is JSON: { version, rules: [{ id, when, then, reason?, stop?, enabled? }] }
+ *   when  - condition over `lead.*` and `time.*` (the lead's local time); omitted means always
+ *   then  - one or more actions, each taking a condition over `location.*` (plus lead/time):
+ *           exclude: drop matching locations
+ *           assign:  keep only matching locations, if any are available
+ *           prefer:  move matching locations ahead of the rest
+ *           boost:   { where, by } adds `by` points to matching locations' score
+ *   stop  - skip the remaining rules once this one matched
+ *
+ * Conditions map paths to a value (equality) or operators:
+ *   eq, ne, gt, gte, lt, lte, in, nin, exists, contains, matches (regex)
+ * and combine with all: [...], any: [...], not: {...}. A string value starting
+ * with "$" is read from the context instead, e.g. "$lead.referrerLocationId".
+ */
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === Boolean(expected),
+  contains: (actual, expected) => (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected, 'i').test(actual)
+};
+
+const ACTIONS = ['exclude', 'assign', 'prefer', 'boost'];
+
+function getPath(context, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+function resolveValue(context, value) {
+  return typeof value === 'string' && value.startsWith('$') ? getPath(context, value.slice(1)) : value;
+}
+
+function isOperatorObject(matcher) {
+  return matcher !== null && typeof matcher === 'object' && !Array.isArray(matcher) &&
+    Object.keys(matcher).length > 0 && Object.keys(matcher).every(key => key in OPERATORS);
+}
+
+/**
+ * Evaluate a condition against a context of { lead, time, location? }
+ */
+function matchCondition(condition, context) {
+  if (!condition) return true;
+
+  return Object.entries(condition).every(([key, matcher]) => {
+    if (key === 'all') return matcher.every(part => matchCondition(part, context));
+    if (key === 'any') return matcher.some(part => matchCondition(part, context));
+    if (key === 'not') return !matchCondition(matcher, context);
+
+    const actual = getPath(context, key);
+
+    if (!isOperatorObject(matcher)) {
+      return actual === resolveValue(context, matcher);
+    }
+
+    return Object.entries(matcher).every(([operator, expected]) => {
+      return OPERATORS[operator](actual, resolveValue(context, expected));
+    });
+  });
+}
+
+/**
+ * Problems with a condition, as messages prefixed with `where`
+ */
+function validateCondition(condition, where, errors) {
+  if (condition === undefined) return;
+
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where}: condition must be an object`);
+    return;
+  }
+
+  Object.entries(condition).forEach(([key, matcher]) => {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(matcher)) {
+        errors.push(`${where}: "${key}" must be an array`);
+      } else {
+        matcher.forEach((part, i) => validateCondition(part, `${where}.${key}[${i}]`, errors));
+      }
+      return;
+    }
+
+    if (key === 'not') {
+      validateCondition(matcher, `${where}.not`, errors);
+      return;
+    }
+
+    if (!/^(lead|location|time)\./.test(key)) {
+      errors.push(`${where}: path "${key}" must start with lead., location. or time.`);
+    }
+
+    if (matcher !== null && typeof matcher === 'object' && !Array.isArray(matcher)) {
+      Object.entries(matcher).forEach(([operator, expected]) => {
+        if (!(operator in OPERATORS)) {
+          errors.push(`${where}: unknown operator "${operator}" on ${key}`);
+        } else if (operator === 'matches') {
+          try {
+            new RegExp(expected);
+          } catch (error) {
+            errors.push(`${where}: invalid regex on ${key}: ${error.message}`);
+          }
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Validate a rule set and freeze it for evaluation
+ * Throws one Error listing every problem found
+ */
+function compileRuleSet(ruleSet) {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    throw new Error('Rule set must be an object');
+  }
+  if (ruleSet.version === undefined || ruleSet.version === null || ruleSet.version === '') {
+    errors.push('version is required');
+  }
+  if (!Array.isArray(ruleSet.rules)) {
+    errors.push('rules must be an array');
+  }
+
+  const ids = new Set();
+  (ruleSet.rules || []).forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.id ? ` (${rule.id})` : ''}`;
+
+    if (!rule || !rule.id) {
+      errors.push(`${where}: id is required`);
+      return;
+    }
+    if (ids.has(rule.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    ids.add(rule.id);
+
+    validateCondition(rule.when, `${where}.when`, errors);
+
+    const actions = Object.keys(rule.then || {});
+    if (actions.length === 0) {
+      errors.push(`${where}: then needs at least one action (${ACTIONS.join(', ')})`);
+    }
+    actions.forEach(action => {
+      if (!ACTIONS.includes(action)) {
+        errors.push(`${where}: unknown action "${action}"`);
+      } else if (action === 'boost') {
+        const boost = rule.then.boost;
+        if (typeof boost?.by !== 'number') {
+          errors.push(`${where}.then.boost: "by" must be a number`);
+        }
+        validateCondition(boost?.where, `${where}.then.boost.where`, errors);
+      } else {
+        validateCondition(rule.then[action], `${where}.then.${action}`, errors);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule set: ${errors.join('; ')}`);
+  }
+
+  return {
+    version: String(ruleSet.version),
+    description: ruleSet.description || '',
+    rules: ruleSet.rules.filter(rule => rule.enabled !== false)
+  };
+}
+
+/**
+ * Order and filter candidate locations for a lead
+ * `score(location)` seeds each location's score (e.g. the weighted location score)
+ * Returns { locations, matchedRules, effects, boosts, preferences, excluded } where effects
+ * maps a rule id to the ids of the locations its actions selected (excluded ones for exclude),
+ * boosts and preferences map location id -> points added and prefer outcomes (1/0 per
+ * prefer action), and excluded maps location id -> rule id
+ */
+function evaluateRules(compiled, { lead, time, locations, score = () => 0 }) {
+  const leadContext = { lead, time };
+  const candidates = locations.map((location, index) => ({
+    location,
+    index,
+    preferences: [],
+    score: score(location),
+    boost: 0
+  }));
+  const matchedRules = [];
+  const effects = {};
+  const excluded = {};
+  let remaining = candidates;
+
+  for (const rule of compiled.rules) {
+    if (!matchCondition(rule.when, leadContext)) continue;
+
+    matchedRules.push(rule.id);
+    const selected = new Set();
+    const matches = (candidate, condition) => {
+      const hit = matchCondition(condition, { lead, time, location: candidate.location });
+      if (hit) selected.add(candidate.location.id);
+      return hit;
+    };
+
+    Object.entries(rule.then).forEach(([action, argument]) => {
+      if (action === 'exclude') {
+        remaining = remaining.filter(candidate => {
+          if (!matches(candidate, argument)) return true;
+          excluded[candidate.location.id] = rule.id;
+          return false;
+        });
+      } else if (action === 'assign') {
+        const assigned = remaining.filter(candidate => matches(candidate, argument));
+        if (assigned.length > 0) remaining = assigned;
+      } else if (action === 'prefer') {
+        remaining.forEach(candidate => candidate.preferences.push(matches(candidate, argument) ? 1 : 0));
+      } else if (action === 'boost') {
+        remaining.forEach(candidate => {
+          if (matches(candidate, argument.where)) candidate.boost += argument.by;
+        });
+      }
+    });
+
+    effects[rule.id] = selected;
+    if (rule.stop) break;
+  }
+
+  const ordered = remaining.slice().sort((a, b) => {
+    // Earlier prefer actions outrank later ones, then score plus boosts, then the incoming order
+    const length = Math.max(a.preferences.length, b.preferences.length);
+    for (let i = 0; i < length; i++) {
+      const difference = (b.preferences[i] || 0) - (a.preferences[i] || 0);
+      if (difference !== 0) return difference;
+    }
+    return (b.score + b.boost) - (a.score + a.boost) || a.index - b.index;
+  });
+
+  const boosts = {};
+  const preferences = {};
+  candidates.forEach(candidate => {
+    boosts[candidate.location.id] = candidate.boost;
+    preferences[candidate.location.id] = candidate.preferences;
+  });
+
+  return {
+    locations: ordered.map(candidate => candidate.location),
+    matchedRules,
+    effects,
+    boosts,
+    preferences,
+    excluded
+  };
+}
+
+/**
+ * The built-in policy: hot leads go to an open location when one is available;
+ * otherwise the weighted location score decides (low-traffic is its priority factor)
+ */
+function defaultRuleSet(highScoreThreshold) {
+  return {
+    version: 'default-2',
+    description: 'Built-in policy',
+    rules: [
+      {
+        id: 'hot-lead-open-location',
+        when: { 'lead.finalScore': { gte: highScoreThreshold } },
+        then: { prefer: { 'location.isOpen': { ne: false } } },
+        reason: 'High-value lead routed to an open location'
+      }
+    ]
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  ACTIONS,
+  matchCondition,
+  compileRuleSet,
+  evaluateRules,
+  defaultRuleSet
+};
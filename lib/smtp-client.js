@@ -0,0 +1,224 @@
+/**
+ * Minimal SMTP client for plain-text mail (RFC 5321)
+ * Enough for alert emails without a mail library: implicit TLS (`secure`, port 465) or
+ * STARTTLS whenever the server offers it, AUTH PLAIN / LOGIN, several recipients.
+ * Credentials are only sent over TLS unless `allowInsecureAuth` says otherwise.
+ * The body is sent base64-encoded so any text (emoji included) survives 7-bit relays.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code; // SMTP reply code, when the server refused something
+  }
+}
+
+/**
+ * Line-oriented view of an SMTP connection: reply() resolves with the next complete
+ * (possibly multi-line) reply as { code, lines }
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.onData = chunk => {
+      this.buffer += chunk;
+      let end;
+      while ((end = this.buffer.indexOf('\r\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, end));
+        this.buffer = this.buffer.slice(end + 2);
+      }
+      this.settle();
+    };
+    this.onError = error => this.fail(error);
+    this.onClose = () => this.fail(new SmtpError('Connection closed by the server'));
+
+    socket.setEncoding('utf8');
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('close', this.onClose);
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) return;
+
+    // A reply ends at the line whose code is followed by a space instead of "-"
+    const last = this.lines.findIndex(line => line[3] !== '-');
+    if (last >= 0) {
+      const lines = this.lines.splice(0, last + 1);
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ code: Number(lines[0].slice(0, 3)), lines: lines.map(line => line.slice(4)) });
+    } else if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  reply() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+  }
+
+  /**
+   * Send a line (omit it to just read, e.g. the greeting) and expect one of `codes`
+   * `shown` replaces the line in errors so credentials are not echoed
+   */
+  async command(line, codes, shown = line) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.reply();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`${shown || 'Greeting'}: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.detach();
+    this.socket.end();
+  }
+}
+
+// SNI takes host names only
+function serverName(host) {
+  return net.isIP(host) ? undefined : host;
+}
+
+function connect(options, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: serverName(options.host), ...options.tls })
+      : net.connect({ host: options.host, port: options.port });
+
+    socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`No response from ${options.host} within ${timeout}ms`)));
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(connection, options) {
+  return new Promise((resolve, reject) => {
+    connection.detach();
+    const secured = tls.connect({ socket: connection.socket, servername: serverName(options.host), ...options.tls }, () => {
+      secured.removeListener('error', reject);
+      connection.attach(secured);
+      resolve();
+    });
+    secured.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  value = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send one plain-text message
+ * options: { host, port, secure, username, password, allowInsecureAuth, from, to: [...], subject, text, timeout, tls }
+ * `tls` is passed to tls.connect, e.g. { rejectUnauthorized: false } for a self-signed relay
+ * `allowInsecureAuth` sends credentials even when the server offers no TLS (local test relays only)
+ * Rejects with SmtpError (code set when the server refused a command)
+ */
+async function sendMail(options) {
+  const port = options.port || (options.secure ? 465 : 587);
+  const timeout = options.timeout || 10000;
+  const to = Array.isArray(options.to) ? options.to : [options.to];
+  const address = value => value.replace(/^.*<([^>]+)>.*$/, '$1');
+
+  const connection = new SmtpConnection(await connect({ ...options, port }, timeout));
+  let secure = Boolean(options.secure);
+
+  try {
+    await connection.command(null, [220]);
+    let hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    const offers = extension => hello.lines.some(line => line.toUpperCase().startsWith(extension));
+
+    if (!secure && offers('STARTTLS')) {
+      await connection.command('STARTTLS', [220]);
+      await upgradeToTls(connection, options);
+      secure = true;
+      hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (options.username) {
+      if (!secure && !options.allowInsecureAuth) {
+        throw new SmtpError(`${options.host} offers no TLS; refusing to send credentials in clear text (set allowInsecureAuth to allow it)`);
+      }
+      const mechanisms = hello.lines.find(line => line.toUpperCase().startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/i.test(mechanisms) || !/\bLOGIN\b/i.test(mechanisms)) {
+        const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      } else {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(options.username).toString('base64'), [334], 'AUTH LOGIN username');
+        await connection.command(Buffer.from(options.password || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${address(options.from)}>`, [250]);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+
+    // Dot-stuffing is not needed: base64 lines never start with "."
+    const reply = await connection.command(`${buildMessage({ ...options, to })}\r\n.`, [250], 'Message');
+    await connection.command('QUIT', [221]).catch(() => {});
+
+    return { secure, response: reply.lines.join(' ') };
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = { SmtpError, sendMail };
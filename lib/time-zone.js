@@ -0,0 +1,116 @@
+/**
+ * IANA time zone helpers built on Intl, so no tz database ships with the router
+ * A timeZone of undefined means the server's own zone
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  const key = timeZone || '';
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(key);
+}
+
+/**
+ * Wall-clock fields of `time` in `timeZone`
+ * Returns { date: 'YYYY-MM-DD', weekday: 0-6 (Sunday first), hour, minute, second, minutes }
+ */
+function localParts(time, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(time).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour,
+    minute,
+    second: Number(parts.second),
+    minutes: hour * 60 + minute
+  };
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of `time` in `timeZone`
+ */
+function localDay(time, timeZone) {
+  return localParts(time, timeZone).date;
+}
+
+/**
+ * Milliseconds `timeZone` is ahead of UTC at instant `time`
+ */
+function offsetAt(time, timeZone) {
+  const parts = localParts(time, timeZone);
+  const [year, month, day] = parts.date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * UTC instant (ms) of a local date ('YYYY-MM-DD') and minute of day in `timeZone`
+ * Repeated times (DST ending) resolve to the first occurrence; times skipped by
+ * DST starting are shifted forward by the gap, e.g. 02:30 -> 03:30
+ */
+function zonedTimeToUtc(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Offsets a day either side are the ones in force around any DST change that day
+  const offsets = [offsetAt(wallClock - DAY_MS, timeZone), offsetAt(wallClock + DAY_MS, timeZone)];
+  const candidates = offsets.map(offset => wallClock - offset).sort((a, b) => a - b);
+  const match = candidates.find(time => {
+    const parts = localParts(time, timeZone);
+    return parts.date === date && parts.minutes === minutes % 1440;
+  });
+
+  return match ?? wallClock - Math.min(...offsets);
+}
+
+/**
+ * Calendar date `days` after a 'YYYY-MM-DD' date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  WEEKDAYS,
+  localParts,
+  localDay,
+  offsetAt,
+  zonedTimeToUtc,
+  addDays,
+  isValidTimeZone
+};
@@ -0,0 +1,133 @@
+/**
+ * HMAC webhook signatures, used both ways: inbound lead payloads are verified and
+ * outgoing routing events are signed with the same scheme
+ *
+ * Headers:
+ *   X-Webhook-Timestamp  unix seconds when the request was signed
+ *   X-Webhook-Nonce      unique per request
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+ *
+ * A request is rejected when the signature does not match (compared in constant time),
+ * the timestamp is outside the tolerance, or the nonce was already seen within it.
+ */
+
+const crypto = require('crypto');
+
+const HEADERS = {
+  TIMESTAMP: 'x-webhook-timestamp',
+  NONCE: 'x-webhook-nonce',
+  SIGNATURE: 'x-webhook-signature'
+};
+
+class SignatureError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SignatureError';
+    this.code = code;
+  }
+}
+
+function computeSignature(secret, timestamp, nonce, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Headers that sign `body` (a string or Buffer, exactly as it will be sent)
+ */
+function signPayload(secret, body, { now = Date.now(), nonce = crypto.randomUUID() } = {}) {
+  const timestamp = Math.floor(now / 1000);
+
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `sha256=${computeSignature(secret, timestamp, nonce, body)}`
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a, 'utf8');
+  const right = Buffer.from(b, 'utf8');
+  // timingSafeEqual needs equal lengths; compare against itself so the time taken stays the same
+  return left.length === right.length
+    ? crypto.timingSafeEqual(left, right)
+    : !crypto.timingSafeEqual(left, left);
+}
+
+/**
+ * Nonces seen within the tolerance window; older ones are dropped since their
+ * timestamps would be rejected anyway. A request may be signed up to `tolerance` ahead of
+ * server time and stays valid until `tolerance` after that, so nonces are kept for twice
+ * the tolerance.
+ */
+class NonceCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 2 * (options.tolerance ?? 5 * 60 * 1000);
+    this.now = options.now || Date.now;
+    this.seen = new Map(); // nonce -> expiry (ms), in insertion order
+  }
+
+  /**
+   * Remember a nonce; false when it was already used
+   */
+  use(nonce) {
+    this.prune();
+    if (this.seen.has(nonce)) return false;
+
+    this.seen.set(nonce, this.now() + this.ttl);
+    return true;
+  }
+
+  prune() {
+    const now = this.now();
+    for (const [nonce, expiry] of this.seen) {
+      if (expiry > now) break;
+      this.seen.delete(nonce);
+    }
+  }
+
+  get size() {
+    return this.seen.size;
+  }
+}
+
+/**
+ * Check a signed request; throws SignatureError (code MISSING_SIGNATURE, INVALID_SIGNATURE,
+ * STALE_TIMESTAMP or REPLAYED_REQUEST) and returns { timestamp, nonce } when it holds
+ * headers use Node's lowercase names; nonces are only recorded for valid signatures
+ */
+function verifySignature({ secret, body, headers, tolerance = 5 * 60 * 1000, nonces = null, now = Date.now() }) {
+  const timestamp = headers[HEADERS.TIMESTAMP];
+  const nonce = headers[HEADERS.NONCE];
+  const signature = headers[HEADERS.SIGNATURE];
+
+  if (!timestamp || !nonce || !signature) {
+    throw new SignatureError('MISSING_SIGNATURE', 'X-Webhook-Timestamp, X-Webhook-Nonce and X-Webhook-Signature are required');
+  }
+
+  const expected = `sha256=${computeSignature(secret, timestamp, nonce, body)}`;
+  if (!safeEqual(String(signature), expected)) {
+    throw new SignatureError('INVALID_SIGNATURE', 'Signature does not match the payload');
+  }
+
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > tolerance) {
+    throw new SignatureError('STALE_TIMESTAMP', `Timestamp is more than ${Math.round(tolerance / 1000)}s from server time`);
+  }
+
+  if (nonces && !nonces.use(nonce)) {
+    throw new SignatureError('REPLAYED_REQUEST', 'Nonce was already used');
+  }
+
+  return { timestamp: Number(timestamp), nonce };
+}
+
+module.exports = {
+  HEADERS,
+  SignatureError,
+  signPayload,
+  verifySignature,
+  NonceCache
+};
@@ -0,0 +1,204 @@
+/**
+ * Webhook subscription registry
+ * Each subscriber gets only the routing events it asked for, in the shape it asked for:
+ *   { id, url, secret?, events?, locations?, template?, enabled? }
+ *   events    - event types to receive (EVENT_TYPES); omitted or ['*'] means all
+ *   locations - location ids; only events routed to one of them. Events without a selected location
+ *               (NO_CAPACITY, OUT_OF_RANGE, SYSTEM_ERROR, circuit events) never match a location filter
+ *   template  - JSON payload with "{{path}}" placeholders read from the event (plus {{eventType}});
+ *               omitted sends the event. A string that is only a placeholder keeps the value's type,
+ *               otherwise values are interpolated as text,
+ *               e.g. { "text": "{{eventType}}: lead {{leadId}}", "score": "{{leadScore}}" }
+ *   secret    - HMAC key for the X-Webhook-* signature headers (lib/webhook-signature.js)
+ */
+
+const EVENT_TYPES = ['SUCCESS', 'DUPLICATE', 'NO_CAPACITY', 'OUT_OF_RANGE', 'SYSTEM_ERROR', 'DEGRADED', 'RECOVERED'];
+
+// Event outcomes published under a different type name
+const OUTCOME_TYPES = { NO_NEARBY_LOCATIONS: 'OUT_OF_RANGE' };
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function eventType(event) {
+  return OUTCOME_TYPES[event.outcome] || event.outcome;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Fill a template's placeholders from the event
+ */
+function renderTemplate(template, event) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) return getPath(event, whole[1]) ?? null;
+
+    return template.replace(PLACEHOLDER, (match, path) => {
+      const value = getPath(event, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, event));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, event)]));
+  }
+  return template;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate subscriptions; throws listing every problem at once
+ */
+function compileSubscriptions(subscriptions) {
+  if (!Array.isArray(subscriptions)) {
+    throw new Error('Webhook subscriptions must be an array');
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  const compiled = subscriptions.map((subscription, i) => {
+    const where = `subscriptions[${i}]${subscription?.id ? ` (${subscription.id})` : ''}`;
+
+    if (!subscription || !subscription.id) {
+      errors.push(`${where}: id is required`);
+      return null;
+    }
+    if (ids.has(subscription.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    ids.add(subscription.id);
+
+    if (!/^https?:\/\//.test(subscription.url || '')) {
+      errors.push(`${where}: url must be an http(s) URL`);
+    }
+    if (subscription.events !== undefined) {
+      if (!isStringArray(subscription.events)) {
+        errors.push(`${where}: events must be an array of event types`);
+      } else {
+        subscription.events
+          .filter(type => type !== '*' && !EVENT_TYPES.includes(OUTCOME_TYPES[type] || type))
+          .forEach(type => errors.push(`${where}: unknown event type "${type}" (${EVENT_TYPES.join(', ')})`));
+      }
+    }
+    if (subscription.locations !== undefined && !isStringArray(subscription.locations)) {
+      errors.push(`${where}: locations must be an array of location ids`);
+    }
+    if (subscription.secret !== undefined && typeof subscription.secret !== 'string') {
+      errors.push(`${where}: secret must be a string`);
+    }
+
+    const events = subscription.events && !subscription.events.includes('*')
+      ? new Set(subscription.events.map(type => OUTCOME_TYPES[type] || type))
+      : null;
+
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      secret: subscription.secret || null,
+      events,
+      locations: subscription.locations ? new Set(subscription.locations) : null,
+      template: subscription.template ?? null,
+      enabled: subscription.enabled !== false
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid webhook subscriptions: ${errors.join('; ')}`);
+  }
+  return compiled;
+}
+
+class WebhookSubscriptions {
+  constructor(subscriptions = [], options = {}) {
+    this.now = options.now || Date.now;
+    this.subscriptions = compileSubscriptions(subscriptions);
+    this.stats = {}; // subscription id -> delivery status
+    this.subscriptions.forEach(subscription => {
+      this.stats[subscription.id] = {
+        matched: 0,
+        delivered: 0,
+        failed: 0,
+        lastDeliveredAt: null,
+        lastFailedAt: null,
+        lastError: null
+      };
+    });
+  }
+
+  /**
+   * Enabled subscriptions that want this event
+   */
+  match(event) {
+    const type = eventType(event);
+
+    const matches = this.subscriptions.filter(subscription =>
+      subscription.enabled &&
+      (!subscription.events || subscription.events.has(type)) &&
+      (!subscription.locations || subscription.locations.has(event.selectedLocationId))
+    );
+    matches.forEach(subscription => this.stats[subscription.id].matched++);
+    return matches;
+  }
+
+  /**
+   * The body a subscription receives for an event
+   */
+  render(subscription, event) {
+    return subscription.template === null
+      ? event
+      : renderTemplate(subscription.template, { ...event, eventType: eventType(event) });
+  }
+
+  recordDelivery(id) {
+    const stats = this.stats[id];
+    if (!stats) return;
+
+    stats.delivered++;
+    stats.lastDeliveredAt = new Date(this.now()).toISOString();
+  }
+
+  recordFailure(id, error) {
+    const stats = this.stats[id];
+    if (!stats) return;
+
+    stats.failed++;
+    stats.lastFailedAt = new Date(this.now()).toISOString();
+    stats.lastError = error.message;
+  }
+
+  /**
+   * Delivery status per subscription; pending comes from the outbox when there is one
+   * failed counts attempts, so one event retried three times adds three
+   */
+  getStats(pendingById = {}) {
+    const result = {};
+    this.subscriptions.forEach(subscription => {
+      result[subscription.id] = {
+        enabled: subscription.enabled,
+        events: subscription.events ? Array.from(subscription.events) : ['*'],
+        locations: subscription.locations ? Array.from(subscription.locations) : null,
+        ...this.stats[subscription.id],
+        pending: pendingById[subscription.id] || 0
+      };
+    });
+    return result;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  eventType,
+  renderTemplate,
+  compileSubscriptions,
+  WebhookSubscriptions
+};
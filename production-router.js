@@ -9,7 +9,17 @@ function loadEnvironmentConfig() {
     return {
       JSONBIN_API_KEY: process.env.JSONBIN_API_KEY,
       WEBHOOK_URL: process.env.WEBHOOK_URL,
-      GHL_API_KEY: process.env.GHL_API_KEY
+      GHL_API_KEY: process.env.GHL_API_KEY,
+      WEBHOOK_SIGNING_SECRET: process.env.WEBHOOK_SIGNING_SECRET,
+      GHL_WEBHOOK_SECRETS: process.env.GHL_WEBHOOK_SECRETS, // JSON: { "<sub-account id>": "<secret>" }
+      WEBHOOK_SUBSCRIPTIONS_FILE: process.env.WEBHOOK_SUBSCRIPTIONS_FILE,
+      ALERT_SLACK_WEBHOOK_URL: process.env.ALERT_SLACK_WEBHOOK_URL,
+      ALERT_SMTP_HOST: process.env.ALERT_SMTP_HOST,
+      ALERT_SMTP_PORT: process.env.ALERT_SMTP_PORT,
+      ALERT_SMTP_USERNAME: process.env.ALERT_SMTP_USERNAME,
+      ALERT_SMTP_PASSWORD: process.env.ALERT_SMTP_PASSWORD,
+      ALERT_EMAIL_FROM: process.env.ALERT_EMAIL_FROM,
+      ALERT_EMAIL_TO: process.env.ALERT_EMAIL_TO // Comma-separated
     };
   }
   return {};
@@ -17,12 +27,106 @@ function loadEnvironmentConfig() {
 
 const ENV = loadEnvironmentConfig();
 
+const { createProviders } = require('./lib/geo/providers');
+const { ZipCentroidDatabase } = require('./lib/geo/zip-centroids');
+const { GeocoderChain } = require('./lib/geo/geocoder');
+const { validateLeadInput, normalizeLeadLocation } = require('./lib/geo/location-input');
+const { normalizeCountry, normalizePostalCode } = require('./lib/geo/postal-codes');
+const { createTravelTimeEstimator } = require('./lib/geo/travel-time');
+const { compileServiceArea, matchServiceArea, findTerritoryOwner } = require('./lib/geo/service-area');
+const { SpatialIndex } = require('./lib/geo/spatial-index');
+const { LruCache } = require('./lib/cache');
+const { HttpClient } = require('./lib/http-client');
+const { CircuitBreaker, CircuitOpenError, STATES: CIRCUIT_STATES } = require('./lib/circuit-breaker');
+const { CapacityLedger } = require('./lib/capacity-ledger');
+const { DailyLeadCounters } = require('./lib/daily-counters');
+const { WEEKDAYS, localParts, isValidTimeZone } = require('./lib/time-zone');
+const { compileSchedule, holidaySet, isOpenAt, nextOpenAt } = require('./lib/business-hours');
+const { compileRuleSet, evaluateRules, defaultRuleSet } = require('./lib/rules-engine');
+const { DEFAULT_SCORING, scoreLocation, topFactors } = require('./lib/location-scoring');
+const { LeadDistributor } = require('./lib/distribution');
+const { createLeadScorer, loadLeadModel } = require('./lib/lead-scoring');
+const { RecentLeadIndex } = require('./lib/lead-dedup');
+const { ContactAssignmentStore } = require('./lib/contact-assignments');
+const { readJsonFile, writeJsonFileAtomic, JsonFileStore } = require('./lib/json-file');
+const { EventOutbox } = require('./lib/event-outbox');
+const { WebhookSubscriptions } = require('./lib/webhook-subscriptions');
+const { EventSinks, configuredSubscriptions } = require('./lib/event-sinks');
+const { AlertNotifier } = require('./lib/alert-notifier');
+
+const KM_PER_MILE = 1.609344;
+
 // Enhanced configuration with real API endpoints
 const PRODUCTION_CONFIG = {
   // Core settings
   ZIP_RADIUS_MILES: 25,
+  ZIP_RADIUS_KM: null, // Takes precedence over ZIP_RADIUS_MILES when set
+  DISTANCE_UNIT: 'miles', // 'miles' or 'km' - unit for reported distances
+  DEFAULT_COUNTRY: 'US', // Leads and locations without a country field (US, CA, GB, AU)
+  SPATIAL_INDEX: true, // Index location coordinates instead of measuring every location per lead
+  ROUTING_METRIC: 'distance', // 'distance' (straight line) or 'drive_time'
+  MAX_DRIVE_MINUTES: 30, // Service radius when ROUTING_METRIC is 'drive_time'
+  
+  // Travel-time estimation for drive_time routing
+  TRAVEL_TIME: {
+    ESTIMATOR: null, // 'osrm', 'matrix' or an estimator object
+    OSRM_URL: 'http://localhost:5000',
+    OSRM_PROFILE: 'driving',
+    MATRIX_FILE: null, // JSON travel-time matrix for the 'matrix' estimator
+    MAX_SPEED_MPH: 70 // Bounds the straight-line pre-filter before asking the estimator
+  },
   HIGH_SCORE_THRESHOLD: 80,
-  MAX_DAILY_LEADS_PER_LOCATION: 50,
+  
+  // Lead scoring (see lib/lead-scoring.js); without a model the hand-tuned heuristic is used
+  LEAD_SCORING: {
+    MODEL_FILE: null, // Logistic regression weights from scripts/train-lead-model.js
+    MODEL: null, // Or the model object itself, or any scorer with score(lead, context)
+    BASE_SCORE: 50 // Heuristic starting score for leads without leadScore
+  },
+  MAX_DAILY_LEADS_PER_LOCATION: 50, // Default cap; locations may set maxDailyLeads
+  DEFAULT_TIMEZONE: null, // IANA zone for locations without `timezone`; null uses the server's zone
+  DAILY_COUNTS_FILE: '.data/daily-lead-counts.json', // Survives restarts; null keeps counts in memory
+  HOLIDAYS: [], // 'YYYY-MM-DD' dates every location is closed (locations add their own `holidays`)
+  
+  // Weighted location scoring (see lib/location-scoring.js); weights are rescaled to sum to 1
+  SCORING: {
+    WEIGHTS: { distance: 0.4, capacity: 0.2, conversion: 0.2, responseTime: 0.1, priority: 0.1 },
+    HOT_LEAD_WEIGHTS: { distance: 0.6, capacity: 0.1, conversion: 0.2, responseTime: 0.1, priority: 0 },
+    CAPACITY_SATURATION: 20, // Free slots that count as full marks without a daily cap
+    CONVERSION_TARGET: 0.3, // Historical conversionRate that counts as full marks
+    RESPONSE_TIME_CEILING: 60, // avgResponseMinutes that counts as zero
+    PRIORITY_VALUES: { 'low-traffic': 1, normal: 0.5, 'high-traffic': 0 }
+  },
+  
+  // Duplicate submissions (same E.164 phone or email, similar name) go back to the original's location
+  DEDUP: {
+    ENABLED: true,
+    WINDOW: 24 * 60 * 60 * 1000, // ms a routed lead is remembered
+    NAME_SIMILARITY: 0.85, // Jaro-Winkler similarity at which names count as the same person
+    STATE_FILE: '.data/recent-leads.json' // null keeps recent leads in memory
+  },
+  
+  // Returning contacts (same GHL contactId, email or phone) go back to their previous location
+  // while it is in range and has capacity; leads with stickyOverride: true are routed fresh
+  STICKY_ROUTING: {
+    ENABLED: true,
+    TTL: 180 * 24 * 60 * 60 * 1000, // ms an assignment binds after the contact was last routed
+    STATE_FILE: '.data/contact-assignments.json' // null keeps assignments in memory
+  },
+  
+  // Spread leads among locations scoring within TIE_BAND points of the best
+  DISTRIBUTION: {
+    STRATEGY: 'round_robin', // 'round_robin', 'weighted' (distributionWeight, else daily cap), 'least_recently_assigned' or 'none'
+    TIE_BAND: 5,
+    MAX_GROUPS: 1000, // Tie bands whose turns are remembered; the least recently used are forgotten first
+    STATE_FILE: '.data/distribution-state.json' // Fairness state between restarts; null keeps it in memory
+  },
+  
+  // Routing rules (see lib/rules-engine.js); by default hot leads prefer open locations
+  RULES: {
+    FILE: null, // JSON rule set, e.g. 'config/routing-rules.json'
+    SET: null // Or the rule set object itself
+  },
   FALLBACK_ENABLED: true,
   
   // Real API endpoints (all free)
@@ -39,10 +143,39 @@ const PRODUCTION_CONFIG = {
     // Data storage (free tier: 100k requests/month)
     DATA_STORAGE: 'https://api.jsonbin.io/v3',
     
-    // Real-time notifications (free webhook testing)
+    // Real-time notifications (free webhook testing): a webhook.site URL works as
+    // ALERTS.SLACK_WEBHOOK_URL to watch alerts without a Slack workspace
     NOTIFICATION_TEST: 'https://webhook.site'
   },
   
+  // Geocoding providers, tried in order until one returns coordinates
+  // Entries are 'local', 'zippopotam', 'nominatim', 'custom' or provider objects
+  GEOCODING: {
+    PROVIDERS: ['local', 'zippopotam', 'nominatim'],
+    CUSTOM_URL: '', // e.g. 'http://geo.internal/{country}/{postalCode}'
+    RATE_LIMITS: { nominatim: 1000 }, // Minimum ms between requests per provider, retries included
+    MAX_QUEUE_MS: 5000, // A lookup that would wait longer for a rate-limited provider moves on to the next one
+    DATA_DIR: null, // Defaults to data/zip-centroids
+    DATA_VERSIONS: {}, // Dataset version per country from data/zip-centroids/manifest.json, e.g. { US: '2021' }; default is the manifest's current one
+    NEAREST_ZIP_MILES: 25 // Leads with coordinates but no ZIP take the nearest ZIP centroid this close, for ZIP-list territories
+  },
+  
+  // HMAC signatures (see lib/webhook-signature.js): inbound lead webhooks must be signed with
+  // their GHL sub-account's secret; outgoing events are signed when SIGNING_SECRET is set
+  WEBHOOK_SECURITY: {
+    REQUIRE_SIGNATURE: true,
+    SECRETS: ENV.GHL_WEBHOOK_SECRETS ? JSON.parse(ENV.GHL_WEBHOOK_SECRETS) : {}, // Sub-account id -> secret; '*' for any other
+    TOLERANCE: 300000, // ms a signed request's timestamp may differ from server time
+    SIGNING_SECRET: ENV.WEBHOOK_SIGNING_SECRET || ''
+  },
+  
+  // Who receives routing events (see lib/webhook-subscriptions.js): each subscriber picks event
+  // types, locations and a payload template; KEYS.WEBHOOK_URL receives everything as 'default'
+  WEBHOOK_SUBSCRIPTIONS: {
+    FILE: ENV.WEBHOOK_SUBSCRIPTIONS_FILE || null, // JSON array, e.g. 'config/webhook-subscriptions.json'
+    LIST: [] // Subscriptions in addition to the file's
+  },
+  
   // API Keys (set via environment variables)
   KEYS: {
     JSONBIN: ENV.JSONBIN_API_KEY || '',
@@ -52,8 +185,49 @@ const PRODUCTION_CONFIG = {
   
   // Performance settings
   CACHE_TTL: 300000, // 5 minutes
+  CACHE: {
+    MAX_ENTRIES: 10000, // Per cache; least recently used entries are evicted beyond this
+    GEOCODING_TTL: 7 * 24 * 60 * 60 * 1000, // Postal code / address coordinates barely change
+    TRAVEL_TIME_TTL: 300000,
+    CAPACITY_TTL: 30000,
+    PERSIST_FILE: null // e.g. '.cache/router-cache.json' so a restarted router starts warm
+  },
   REQUEST_TIMEOUT: 5000, // 5 seconds
   RETRY_ATTEMPTS: 3,
+  // Per-dependency circuit breakers (geocoding providers, OSRM, JSONBin, each webhook subscriber)
+  CIRCUIT_BREAKER: {
+    FAILURE_THRESHOLD: 5, // Consecutive failures before the circuit opens
+    RESET_TIMEOUT: 30000, // ms to fail fast before a trial call is let through
+    HALF_OPEN_MAX_CALLS: 1
+  },
+  RESERVATION_TTL: 60000, // ms a capacity slot is held for a lead before it is freed again
+  
+  // Alerts for people (see lib/alert-notifier.js), sent to Slack and/or email through the outbox
+  ALERTS: {
+    EVENTS: ['NO_CAPACITY', 'OUT_OF_RANGE', 'SYSTEM_ERROR'], // Also 'DEGRADED' / 'RECOVERED' for circuit breakers
+    THROTTLE: 3600000, // ms; one alert per event type and location, later ones summed up when it ends
+    SLACK_WEBHOOK_URL: ENV.ALERT_SLACK_WEBHOOK_URL || '', // Slack incoming webhook
+    EMAIL: {
+      SMTP_HOST: ENV.ALERT_SMTP_HOST || '',
+      SMTP_PORT: Number(ENV.ALERT_SMTP_PORT) || 587, // STARTTLS is used when offered
+      SECURE: false, // true for implicit TLS (port 465)
+      USERNAME: ENV.ALERT_SMTP_USERNAME || '',
+      PASSWORD: ENV.ALERT_SMTP_PASSWORD || '',
+      ALLOW_INSECURE_AUTH: false, // true sends USERNAME / PASSWORD without TLS (local test relays only)
+      FROM: ENV.ALERT_EMAIL_FROM || 'lead-router@localhost',
+      TO: ENV.ALERT_EMAIL_TO ? ENV.ALERT_EMAIL_TO.split(',').map(address => address.trim()) : []
+    }
+  },
+  
+  // Routing events are queued on disk and delivered to webhook subscribers and JSONBin in the background
+  OUTBOX: {
+    ENABLED: true, // false sends events inline, as before
+    DIR: '.data/outbox', // null keeps the queue in memory
+    MAX_ATTEMPTS: 8, // Failed deliveries move to dead-letter.jsonl after this many
+    BASE_DELAY: 1000, // Backoff before the first retry, doubling per attempt
+    MAX_DELAY: 300000,
+    POLL_INTERVAL: 1000
+  },
   BATCH_SIZE: 10
 };
 
@@ -64,101 +238,507 @@ const PRODUCTION_CONFIG = {
 class ProductionLeadRouter {
   constructor(config = PRODUCTION_CONFIG) {
     this.config = config;
-    this.cache = new Map();
+    
+    const cacheConfig = config.CACHE || {};
+    const maxSize = cacheConfig.MAX_ENTRIES || 10000;
+    this.caches = {
+      geocoding: new LruCache({ maxSize, ttl: cacheConfig.GEOCODING_TTL ?? config.CACHE_TTL }),
+      travelTime: new LruCache({ maxSize, ttl: cacheConfig.TRAVEL_TIME_TTL ?? config.CACHE_TTL }),
+      capacity: new LruCache({ maxSize, ttl: cacheConfig.CAPACITY_TTL ?? config.CACHE_TTL })
+    };
+    this.loadCaches();
+    
+    this.http = new HttpClient({
+      timeout: config.REQUEST_TIMEOUT,
+      attempts: config.RETRY_ATTEMPTS
+    });
+    this.breakers = {};
+    this.zipCentroids = new ZipCentroidDatabase({
+      dataDir: config.GEOCODING?.DATA_DIR,
+      versions: config.GEOCODING?.DATA_VERSIONS
+    });
+    this.geocoder = new GeocoderChain(
+      createProviders(config.GEOCODING?.PROVIDERS || ['local'], config, this.http, this.zipCentroids),
+      {
+        rateLimits: config.GEOCODING?.RATE_LIMITS,
+        maxQueueMs: config.GEOCODING?.MAX_QUEUE_MS,
+        cache: this.caches.geocoding,
+        breakerFor: name => (name === 'local' ? null : this.getBreaker(name))
+      }
+    );
+    this.travelTimeEstimator = createTravelTimeEstimator(config, this.http);
+    this.capacityLedger = new CapacityLedger({ reservationTtl: config.RESERVATION_TTL });
+    this.dailyCounters = new DailyLeadCounters({
+      store: config.DAILY_COUNTS_FILE ? new JsonFileStore(config.DAILY_COUNTS_FILE) : null
+    });
+    this.serviceAreas = new WeakMap();
+    this.schedules = new WeakMap(); // businessHours object -> compiled weekly schedule
+    this.ruleSets = new Map(); // version -> compiled rule set
+    this.ruleMatches = {}; // version -> rule id -> leads matched
+    this.loadRuleSet(this.getConfiguredRuleSet());
+    this.leadScorer = createLeadScorer({
+      model: config.LEAD_SCORING?.MODEL ||
+        (config.LEAD_SCORING?.MODEL_FILE ? loadLeadModel(config.LEAD_SCORING.MODEL_FILE) : null),
+      baseScore: config.LEAD_SCORING?.BASE_SCORE
+    });
+    this.distributor = new LeadDistributor({
+      strategy: config.DISTRIBUTION?.STRATEGY || 'none',
+      maxGroups: config.DISTRIBUTION?.MAX_GROUPS,
+      store: config.DISTRIBUTION?.STATE_FILE ? new JsonFileStore(config.DISTRIBUTION.STATE_FILE) : null
+    });
+    this.recentLeads = config.DEDUP?.ENABLED === false ? null : new RecentLeadIndex({
+      window: config.DEDUP?.WINDOW,
+      nameThreshold: config.DEDUP?.NAME_SIMILARITY,
+      store: config.DEDUP?.STATE_FILE ? new JsonFileStore(config.DEDUP.STATE_FILE) : null
+    });
+    this.contactAssignments = config.STICKY_ROUTING?.ENABLED === false ? null : new ContactAssignmentStore({
+      ttl: config.STICKY_ROUTING?.TTL,
+      store: config.STICKY_ROUTING?.STATE_FILE ? new JsonFileStore(config.STICKY_ROUTING.STATE_FILE) : null
+    });
+    this.subscriptions = new WebhookSubscriptions(configuredSubscriptions(config));
+    this.sinks = new EventSinks({
+      config,
+      http: this.http,
+      subscriptions: this.subscriptions,
+      breakerFor: name => this.getBreaker(name)
+    });
+    this.outbox = config.OUTBOX?.ENABLED === false ? null : new EventOutbox({
+      sinks: this.sinks.outboxSinks(),
+      dir: config.OUTBOX?.DIR,
+      maxAttempts: config.OUTBOX?.MAX_ATTEMPTS,
+      baseDelay: config.OUTBOX?.BASE_DELAY,
+      maxDelay: config.OUTBOX?.MAX_DELAY,
+      pollInterval: config.OUTBOX?.POLL_INTERVAL,
+      // An open circuit is the sink being down, not the event being bad
+      isTransient: error => error instanceof CircuitOpenError
+    });
+    this.outbox?.start();
+    this.alerts = this.getAlertChannels().length === 0 ? null : new AlertNotifier({
+      events: config.ALERTS?.EVENTS,
+      throttle: config.ALERTS?.THROTTLE,
+      send: alert => this.sendAlert(alert)
+    });
+    this.alerts?.start();
+    this.locationIndexes = new WeakMap();
     this.metrics = {
       apiCalls: 0,
-      cacheHits: 0,
       errors: 0,
-      successfulRoutes: 0
+      successfulRoutes: 0,
+      duplicateLeads: 0
     };
   }
 
   /**
    * Main routing function with real API integration
    */
-  async routeLead(lead, locations) {
+  async routeLead(input, locations) {
     const startTime = Date.now();
+    let reservation = null;
+    let held = null;
+    let lead = input;
     
     try {
       this.metrics.apiCalls++;
       
       // Validate input
-      if (!this.validateLead(lead)) {
-        return this.createErrorResponse('INVALID_LEAD', 'Lead validation failed');
+      const validationErrors = this.getLeadValidationErrors(input);
+      if (validationErrors.length > 0) {
+        return this.createErrorResponse(
+          'INVALID_LEAD',
+          validationErrors.map(e => `${e.field}: ${e.message}`).join('; '),
+          { fields: validationErrors }
+        );
       }
       
-      // Enhanced lead scoring
-      lead.finalScore = this.calculateLeadScore(lead);
+      // Resubmissions go back to wherever the original went, without using capacity again;
+      // a copy sent alongside the original waits for it, and routes itself if the original failed
+      let duplicate = this.findDuplicate(input);
+      while (duplicate?.entry.pending) {
+        await duplicate.entry.pending;
+        duplicate = this.findDuplicate(input);
+      }
+      if (duplicate) {
+        return await this.routeDuplicate(input, duplicate, locations, startTime);
+      }
+      held = this.recentLeads?.hold(input, this.getLeadCountry(input)) || null;
+      
+      // Resolve the lead's own point: raw lat/lng, then street address, then ZIP centroid
+      const leadPoint = await this.resolveLeadPoint(lead);
+      const geocodeSource = leadPoint?.source || null;
+      const geocodePrecision = leadPoint?.precision || null;
       
-      // Get nearest locations using real APIs
-      const nearestLocations = await this.getNearestLocationsReal(lead.zip, locations);
+      // Get nearest locations by drive time or straight-line distance
+      const { locations: nearestLocations, metric: routingMetric } = await this.rankLocations(leadPoint, locations);
+      
+      // Score the lead, with the distance to its nearest location as one of the signals;
+      // rules and events see the score on a copy so the caller's lead is left untouched
+      const scoring = this.scoreLead(input, { distance: nearestLocations[0]?.distance });
+      lead = { ...input, finalScore: scoring.score };
+      const scoreDetails = {
+        leadScore: scoring.score,
+        leadScoreExplanation: scoring.explanation
+      };
       
       if (nearestLocations.length === 0) {
-        await this.logRoutingEvent(lead, null, locations, 'NO_NEARBY_LOCATIONS');
-        return this.createErrorResponse('OUT_OF_RANGE', 'No locations within service area');
+        await this.logRoutingEvent(lead, null, locations, 'NO_NEARBY_LOCATIONS', scoreDetails);
+        return this.createErrorResponse('OUT_OF_RANGE', 'No locations within service area', {
+          geocodeSource,
+          geocodePrecision,
+          routingMetric,
+          ...scoreDetails
+        });
       }
       
-      // Check capacity using real data
-      const locationsWithCapacity = await this.checkLocationCapacities(nearestLocations);
+      // Check capacity using real data, then whether each location is open right now
+      const locationsWithCapacity = this.applyBusinessHours(await this.checkLocationCapacities(nearestLocations));
+      
+      // Apply routing logic, holding a slot at the chosen location; a returning contact's
+      // previous location goes first when it is still eligible
+      const previous = this.findPreviousAssignment(input);
+      const selection = this.reserveOptimalLocation(lead, locationsWithCapacity, {
+        stickyLocationId: previous?.locationId
+      });
       
-      // Apply routing logic
-      const selectedLocation = this.selectOptimalLocation(lead, locationsWithCapacity);
+      const routingDetails = {
+        rulesVersion: selection.rules.version,
+        matchedRules: selection.rules.matchedRules,
+        returningContact: Boolean(selection.sticky),
+        previousAssignment: previous && {
+          locationId: previous.locationId,
+          locationName: previous.locationName,
+          leadId: previous.leadId,
+          assignedAt: new Date(previous.assignedAt).toISOString(),
+          matchedOn: previous.matchedOn
+        }
+      };
       
-      if (!selectedLocation) {
-        await this.logRoutingEvent(lead, null, locations, 'NO_CAPACITY');
-        return this.createErrorResponse('NO_CAPACITY', 'No available capacity');
+      if (!selection.location) {
+        await this.logRoutingEvent(lead, null, locations, 'NO_CAPACITY', {
+          ...routingDetails,
+          ...scoreDetails,
+          unavailableLocations: locationsWithCapacity.map(location => ({ id: location.id, name: location.name }))
+        });
+        return this.createErrorResponse('NO_CAPACITY', 'No available capacity', { ...routingDetails, ...scoreDetails });
       }
       
-      // Log successful routing
-      await this.logRoutingEvent(lead, selectedLocation, locations, 'SUCCESS');
+      const selectedLocation = selection.location;
+      reservation = selection.reservation;
       
-      this.metrics.successfulRoutes++;
+      // Log successful routing
+      await this.logRoutingEvent(lead, selectedLocation, locations, 'SUCCESS', { ...routingDetails, ...scoreDetails });
       
-      return {
+      const result = {
         success: true,
         location: selectedLocation,
         estimatedDistance: selectedLocation.distance,
+        distanceUnit: this.config.DISTANCE_UNIT || 'miles',
+        estimatedDriveMinutes: selectedLocation.driveMinutes ?? null,
+        routingMetric,
         routingTime: Date.now() - startTime,
-        reason: this.getRoutingReason(lead, selectedLocation),
-        isHighPriority: lead.finalScore >= this.config.HIGH_SCORE_THRESHOLD,
-        confidence: this.calculateRoutingConfidence(selectedLocation, locationsWithCapacity)
+        reason: this.getRoutingReason(lead, selectedLocation, selection.rules, previous),
+        isHighPriority: scoring.explanation.isHighPriority,
+        ...scoreDetails,
+        confidence: this.calculateRoutingConfidence(selectedLocation, locationsWithCapacity),
+        isOpen: selectedLocation.isOpen,
+        nextOpenAt: selectedLocation.isOpen ? null : selectedLocation.nextOpenAt,
+        ...routingDetails,
+        scoreBreakdown: selection.rules.breakdown,
+        geocodeSource,
+        geocodePrecision
       };
       
+      await this.commitReservation(reservation);
+      reservation = null;
+      this.recentLeads?.record(input, selectedLocation, this.getLeadCountry(input), held);
+      held = null;
+      this.contactAssignments?.assign(input, selectedLocation, this.getLeadCountry(input));
+      this.metrics.successfulRoutes++;
+      
+      return result;
+      
     } catch (error) {
+      if (reservation) {
+        this.releaseReservation(reservation);
+      }
       this.metrics.errors++;
       console.error('Routing error:', error);
+      await this.logRoutingEvent(lead || {}, null, locations, 'SYSTEM_ERROR', { error: error.message })
+        .catch(eventError => console.error('Failed to log routing error:', eventError));
       return this.createErrorResponse('SYSTEM_ERROR', error.message);
+    } finally {
+      // Not routed: copies waiting on this lead go ahead on their own
+      this.recentLeads?.release(held);
     }
   }
 
   /**
-   * Get nearest locations using real distance API
+   * The recently routed lead this one duplicates ({ entry, matchedOn }), or null
    */
-  async getNearestLocationsReal(leadZip, locations) {
+  findDuplicate(lead) {
+    return this.recentLeads ? this.recentLeads.find(lead, this.getLeadCountry(lead)) : null;
+  }
+
+  /**
+   * The returning contact's unexpired assignment, or null (always null with stickyOverride)
+   */
+  findPreviousAssignment(lead) {
+    if (!this.contactAssignments || lead.stickyOverride === true) return null;
+    return this.contactAssignments.lookup(lead, this.getLeadCountry(lead));
+  }
+
+  getLeadCountry(lead) {
+    return normalizeLeadLocation(lead, this.config.DEFAULT_COUNTRY).country;
+  }
+
+  /**
+   * Answer a duplicate with the original's location and emit a DUPLICATE event
+   * The location may have left the list since; its remembered id and name are used then
+   */
+  async routeDuplicate(lead, { entry, matchedOn }, locations, startTime) {
+    const location = locations.find(loc => loc.id === entry.locationId) ||
+      { id: entry.locationId, name: entry.locationName };
+    const details = {
+      originalLeadId: entry.leadId,
+      originalRoutedAt: new Date(entry.routedAt).toISOString(),
+      matchedOn
+    };
+    
+    await this.logRoutingEvent(lead, location, locations, 'DUPLICATE', details);
+    this.metrics.duplicateLeads++;
+    this.metrics.successfulRoutes++;
+    
+    return {
+      success: true,
+      duplicate: true,
+      location,
+      routingTime: Date.now() - startTime,
+      reason: `Duplicate of lead ${entry.leadId} (matched on ${matchedOn.join(', ')}), sent to the same location`,
+      ...details
+    };
+  }
+
+  /**
+   * Resolve where the lead actually is, preferring the most precise input given
+   * Resolves to { lat, lng, source, precision, postalCode } or null when nothing geocodes
+   */
+  async resolveLeadPoint(lead) {
+    const input = normalizeLeadLocation(lead, this.config.DEFAULT_COUNTRY);
+    
+    if (input.coords) {
+      return {
+        ...input.coords,
+        source: 'lead',
+        precision: 'coordinates',
+        postalCode: input.postalCode || this.nearestPostalCode(input.coords, input.country)
+      };
+    }
+    
+    if (input.address?.line1) {
+      try {
+        const coords = await this.geocoder.lookupAddress(input.address, input.country);
+        if (coords) {
+          return { ...coords, precision: 'address', postalCode: input.postalCode || this.nearestPostalCode(coords, input.country) };
+        }
+      } catch (error) {
+        console.warn(`Address lookup failed for lead ${lead.id}:`, error.message);
+      }
+    }
+    
+    if (input.postalCode) {
+      const coords = await this.getZipCoordinates(input.postalCode, input.country);
+      if (coords) return { ...coords, precision: 'zip', postalCode: input.postalCode };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Postal code of the nearest centroid, for points that came without one, so ZIP-list
+   * territories (exclusive ones especially) still apply; null when none is close enough
+   */
+  nearestPostalCode(point, country) {
+    try {
+      return this.zipCentroids.nearest(point, country, this.config.GEOCODING?.NEAREST_ZIP_MILES ?? 25)?.postalCode || null;
+    } catch (error) {
+      console.warn(`Nearest postal code lookup failed (${country}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Rank candidate locations with the configured routing metric
+   * Falls back to straight-line distance when drive times are unavailable
+   */
+  async rankLocations(leadPoint, locations) {
+    if (this.config.ROUTING_METRIC === 'drive_time' && this.travelTimeEstimator && leadPoint) {
+      const maxMiles = this.config.MAX_DRIVE_MINUTES / 60 * (this.config.TRAVEL_TIME?.MAX_SPEED_MPH || 70);
+      const radius = this.config.DISTANCE_UNIT === 'km' ? maxMiles * KM_PER_MILE : maxMiles;
+      const candidates = await this.getNearestLocationsReal(leadPoint, locations, radius);
+      const byDriveTime = await this.rankByDriveTime(leadPoint, candidates);
+      
+      if (byDriveTime) {
+        return { locations: byDriveTime, metric: 'drive_time' };
+      }
+    }
+    
+    return {
+      locations: await this.getNearestLocationsReal(leadPoint, locations),
+      metric: 'distance'
+    };
+  }
+
+  /**
+   * Order candidates by estimated drive time within MAX_DRIVE_MINUTES
+   * ZIP-list and polygon locations without an estimate follow, nearest first
+   * Returns null when the estimator fails or knows none of the candidates
+   */
+  async rankByDriveTime(leadPoint, candidates) {
+    if (candidates.length === 0) return [];
+    
     try {
+      const origin = `${leadPoint.lat.toFixed(5)},${leadPoint.lng.toFixed(5)}`;
+      const minutes = candidates.map(location => this.caches.travelTime.get(`${origin}->${location.id}`));
+      const missing = candidates.filter((location, i) => minutes[i] === undefined);
+      
+      if (missing.length > 0) {
+        const destinations = await Promise.all(missing.map(async (location) => ({
+          id: location.id,
+          ...(await this.getLocationCoordinates(location))
+        })));
+        const estimates = await this.getBreaker(this.travelTimeEstimator.name)
+          .execute(() => this.travelTimeEstimator.estimate(leadPoint, destinations));
+        
+        missing.forEach((location, i) => {
+          this.caches.travelTime.set(`${origin}->${location.id}`, estimates[i]);
+          minutes[candidates.indexOf(location)] = estimates[i];
+        });
+      }
+      
+      if (minutes.every(value => value === null)) {
+        return null;
+      }
+      
+      return candidates
+        .map((location, i) => ({ ...location, driveMinutes: minutes[i] }))
+        .filter(loc => loc.serviceAreaBasis === 'zip_list' || loc.serviceAreaBasis === 'polygon' ||
+          (loc.driveMinutes !== null && loc.driveMinutes <= this.config.MAX_DRIVE_MINUTES))
+        // Stable sort: locations without an estimate keep their distance order at the end
+        .sort((a, b) => (a.driveMinutes ?? Infinity) - (b.driveMinutes ?? Infinity) || 0);
+        
+    } catch (error) {
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn(`Drive-time estimate via ${this.travelTimeEstimator.name} failed:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Coordinates for a location: explicit lat/lng, else its postal code centroid
+   */
+  async getLocationCoordinates(location) {
+    if (Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+      return { lat: location.lat, lng: location.lng };
+    }
+    
+    const country = normalizeCountry(location.country, this.config.DEFAULT_COUNTRY);
+    const rawPostalCode = location.postalCode || location.zipCode;
+    const postalCode = normalizePostalCode(rawPostalCode, country)?.postalCode || rawPostalCode;
+    
+    return this.getZipCoordinates(postalCode, country);
+  }
+
+  /**
+   * Spatial index over a location list, built once per array
+   * Callers that edit the array in place must call invalidateLocationIndex
+   */
+  getLocationIndex(locations) {
+    if (!this.locationIndexes.has(locations)) {
+      const build = this.buildLocationIndex(locations);
+      this.locationIndexes.set(locations, build);
+      build.catch(() => this.locationIndexes.delete(locations));
+    }
+    return this.locationIndexes.get(locations);
+  }
+
+  invalidateLocationIndex(locations) {
+    this.locationIndexes.delete(locations);
+  }
+
+  /**
+   * Index locations that only serve a plain radius; the rest are checked on every lead
+   */
+  async buildLocationIndex(locations) {
+    const coords = await Promise.all(locations.map(location => this.getLocationCoordinates(location)));
+    const indexed = locations
+      .map((location, i) => ({ location, coords: coords[i] }))
+      .filter(({ location, coords }) => coords && !this.getServiceArea(location));
+    
+    return {
+      index: new SpatialIndex(indexed.map(({ location, coords }) => ({ ...coords, item: location }))),
+      alwaysCheck: locations.filter((location, i) => !coords[i] || this.getServiceArea(location))
+    };
+  }
+
+  /**
+   * Locations worth measuring for this lead: indexed ones within the radius,
+   * plus those with their own service area or unknown coordinates
+   */
+  async getCandidatePool(leadPoint, locations, radius) {
+    const { index, alwaysCheck } = await this.getLocationIndex(locations);
+    const nearby = index.withinRadius(leadPoint, this.toMiles(radius) + 0.01).map(match => match.item);
+    
+    return nearby.concat(alwaysCheck);
+  }
+
+  /**
+   * Compiled serviceArea for a location (null when it uses the global radius)
+   */
+  getServiceArea(location) {
+    if (!this.serviceAreas.has(location)) {
+      this.serviceAreas.set(location, compileServiceArea(location, this.config.DEFAULT_COUNTRY));
+    }
+    return this.serviceAreas.get(location);
+  }
+
+  /**
+   * Get nearest locations serving the lead's point using real distance API
+   * Locations with a serviceArea use their own ZIP lists, polygons and radius;
+   * an exclusive territory owner is the only candidate for leads inside it
+   */
+  async getNearestLocationsReal(leadPoint, locations, radius = this.getServiceRadius()) {
+    if (!leadPoint) {
+      return [];
+    }
+    
+    try {
+      const pool = this.config.SPATIAL_INDEX
+        ? await this.getCandidatePool(leadPoint, locations, radius)
+        : locations;
+      const owner = findTerritoryOwner(pool, pool.map(loc => this.getServiceArea(loc)), leadPoint);
+      const candidates = owner ? [owner] : pool;
+      
       const locationsWithDistance = await Promise.all(
-        locations.map(async (location) => {
-          const cacheKey = `distance_${leadZip}_${location.zipCode}`;
-          
-          // Check cache first
-          if (this.cache.has(cacheKey)) {
-            this.metrics.cacheHits++;
-            return { ...location, distance: this.cache.get(cacheKey) };
-          }
-          
-          // Calculate real distance
-          const distance = await this.calculateRealDistance(leadZip, location.zipCode);
-          
-          // Cache the result
-          this.cache.set(cacheKey, distance);
-          setTimeout(() => this.cache.delete(cacheKey), this.config.CACHE_TTL);
+        candidates.map(async (location) => {
+          // Coordinates come from the geocoding cache; the distance itself is cheap to recompute
+          const locationCoords = await this.getLocationCoordinates(location);
+          const distance = locationCoords ? this.haversineDistance(leadPoint, locationCoords) : 999;
           
           return { ...location, distance };
         })
       );
       
       return locationsWithDistance
-        .filter(loc => loc.distance <= this.config.ZIP_RADIUS_MILES)
+        .map((loc, i) => ({
+          ...loc,
+          serviceAreaBasis: matchServiceArea(
+            this.getServiceArea(candidates[i]),
+            leadPoint,
+            this.toMiles(loc.distance),
+            this.toMiles(radius)
+          )
+        }))
+        .filter(loc => loc.serviceAreaBasis !== null)
         .sort((a, b) => a.distance - b.distance);
         
     } catch (error) {
@@ -190,31 +770,12 @@ class ProductionLeadRouter {
   }
 
   /**
-   * Get coordinates for zip code using free API
+   * Get coordinates for a postal code from the geocoding provider chain
+   * Resolves to { lat, lng, source } where source names the provider that answered
    */
-  async getZipCoordinates(zipCode) {
+  async getZipCoordinates(zipCode, country = 'US') {
     try {
-      const response = await fetch(`${this.config.APIs.ZIP_LOOKUP}/us/${zipCode}`, {
-        method: 'GET',
-        headers: { 'User-Agent': 'GHL-Lead-Router/2.0' },
-        timeout: this.config.REQUEST_TIMEOUT
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Zip lookup failed: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.places && data.places.length > 0) {
-        return {
-          lat: parseFloat(data.places[0].latitude),
-          lng: parseFloat(data.places[0].longitude)
-        };
-      }
-      
-      return null;
-      
+      return await this.geocoder.lookup(zipCode, country);
     } catch (error) {
       console.warn(`Zip coordinate lookup failed for ${zipCode}:`, error.message);
       return null;
@@ -222,10 +783,29 @@ class ProductionLeadRouter {
   }
 
   /**
-   * Haversine distance calculation
+   * Service radius in the configured distance unit
+   */
+  getServiceRadius() {
+    const { ZIP_RADIUS_KM, ZIP_RADIUS_MILES } = this.config;
+    
+    if (this.config.DISTANCE_UNIT === 'km') {
+      return ZIP_RADIUS_KM ?? ZIP_RADIUS_MILES * KM_PER_MILE;
+    }
+    return ZIP_RADIUS_KM != null ? ZIP_RADIUS_KM / KM_PER_MILE : ZIP_RADIUS_MILES;
+  }
+
+  /**
+   * Convert a distance in the configured unit to miles
+   */
+  toMiles(distance) {
+    return this.config.DISTANCE_UNIT === 'km' ? distance / KM_PER_MILE : distance;
+  }
+
+  /**
+   * Haversine distance calculation, in the configured distance unit
    */
   haversineDistance(coords1, coords2) {
-    const R = 3959; // Earth's radius in miles
+    const R = this.config.DISTANCE_UNIT === 'km' ? 6371 : 3959; // Earth's radius
     const dLat = (coords2.lat - coords1.lat) * Math.PI / 180;
     const dLng = (coords2.lng - coords1.lng) * Math.PI / 180;
     
@@ -244,7 +824,7 @@ class ProductionLeadRouter {
       return await Promise.all(
         locations.map(async (location) => {
           const capacity = await this.getLocationCapacityReal(location.id);
-          return { ...location, capacity };
+          return { ...location, capacity: this.applyDailyCap(location, this.capacityLedger.sync(location.id, capacity)) };
         })
       );
     } catch (error) {
@@ -253,6 +833,88 @@ class ProductionLeadRouter {
     }
   }
 
+  /**
+   * Limit capacity by the leads a location has already taken today
+   */
+  applyDailyCap(location, capacity) {
+    const cap = this.getDailyLeadCap(location);
+    const dailyLeadCount = this.dailyCounters.count(location.id, this.getLocationTimeZone(location));
+    const remaining = Math.max(0, cap - dailyLeadCount);
+    
+    return {
+      ...capacity,
+      dailyLeadCount,
+      dailyLeadCap: Number.isFinite(cap) ? cap : null,
+      availableSlots: Math.min(capacity.availableSlots, remaining),
+      hasCapacity: capacity.hasCapacity && remaining > 0
+    };
+  }
+
+  getDailyLeadCap(location) {
+    return location.maxDailyLeads ?? this.config.MAX_DAILY_LEADS_PER_LOCATION ?? Infinity;
+  }
+
+  /**
+   * IANA time zone a location's day is counted in; invalid zones fall back to the default
+   */
+  getLocationTimeZone(location) {
+    return this.resolveTimeZone(location.timezone, `location ${location.id}`);
+  }
+
+  /**
+   * `timeZone` if valid, else DEFAULT_TIMEZONE, else undefined (the server's zone)
+   */
+  resolveTimeZone(timeZone, owner) {
+    const fallback = this.config.DEFAULT_TIMEZONE && isValidTimeZone(this.config.DEFAULT_TIMEZONE)
+      ? this.config.DEFAULT_TIMEZONE
+      : undefined;
+    
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      console.warn(`Unknown time zone ${timeZone} for ${owner}`);
+      return fallback;
+    }
+    return timeZone || fallback;
+  }
+
+  /**
+   * Mark each location open or closed at `time`, with nextOpenAt (ISO) for closed ones
+   * Locations without businessHours are always open
+   */
+  applyBusinessHours(locations, time = Date.now()) {
+    return locations.map(location => {
+      const schedule = this.getSchedule(location);
+      const timeZone = this.getLocationTimeZone(location);
+      const holidays = holidaySet([...(this.config.HOLIDAYS || []), ...(location.holidays || [])]);
+      
+      if (isOpenAt(schedule, time, timeZone, holidays)) {
+        return { ...location, isOpen: true, nextOpenAt: null };
+      }
+      
+      const opensAt = nextOpenAt(schedule, time, timeZone, holidays);
+      return { ...location, isOpen: false, nextOpenAt: opensAt === null ? null : new Date(opensAt).toISOString() };
+    });
+  }
+
+  /**
+   * Compiled weekly schedule for a location, or null (always open)
+   * Malformed hours are reported once and treated as always open
+   */
+  getSchedule(location) {
+    const hours = location.businessHours;
+    if (!hours || typeof hours !== 'object') return null;
+    
+    if (!this.schedules.has(hours)) {
+      let schedule = null;
+      try {
+        schedule = compileSchedule(hours);
+      } catch (error) {
+        console.warn(`Ignoring business hours for location ${location.id}:`, error.message);
+      }
+      this.schedules.set(hours, schedule);
+    }
+    return this.schedules.get(hours);
+  }
+
   /**
    * Get real location capacity data
    */
@@ -263,23 +925,32 @@ class ProductionLeadRouter {
         return this.getSimulatedCapacity();
       }
       
-      const response = await fetch(`${this.config.APIs.DATA_STORAGE}/b/capacity-${locationId}`, {
-        headers: {
-          'X-Master-Key': this.config.KEYS.JSONBIN,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.config.REQUEST_TIMEOUT
-      });
+      const cached = this.caches.capacity.get(locationId);
+      if (cached) {
+        return cached;
+      }
+      
+      const response = await this.callDependency('jsonbin-capacity', () =>
+        this.http.request('jsonbin-capacity', `${this.config.APIs.DATA_STORAGE}/b/capacity-${locationId}`, {
+          headers: {
+            'X-Master-Key': this.config.KEYS.JSONBIN,
+            'Content-Type': 'application/json'
+          }
+        })
+      );
       
       if (response.ok) {
         const data = await response.json();
+        this.caches.capacity.set(locationId, data.record);
         return data.record;
       }
       
       return this.getSimulatedCapacity();
       
     } catch (error) {
-      console.warn(`Capacity check failed for ${locationId}:`, error.message);
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn(`Capacity check failed for ${locationId}:`, error.message);
+      }
       return this.getSimulatedCapacity();
     }
   }
@@ -287,25 +958,77 @@ class ProductionLeadRouter {
   /**
    * Log routing events with real webhook integration
    */
-  async logRoutingEvent(lead, selectedLocation, allLocations, outcome) {
+  async logRoutingEvent(lead, selectedLocation, allLocations, outcome, details = {}) {
+    const leadLocation = normalizeLeadLocation(lead, this.config.DEFAULT_COUNTRY);
     const eventData = {
       timestamp: new Date().toISOString(),
       leadId: lead.id,
-      leadZip: lead.zip,
+      leadZip: leadLocation.postalCode,
+      leadCountry: leadLocation.country,
       leadScore: lead.finalScore,
       selectedLocation: selectedLocation?.name || 'NONE',
       selectedLocationId: selectedLocation?.id || null,
       outcome: outcome,
       distance: selectedLocation?.distance || null,
       source: lead.source,
-      processingTime: Date.now() - (lead.startTime || Date.now())
+      processingTime: Date.now() - (lead.startTime || Date.now()),
+      ...details
     };
     
-    try {
-      // Send to webhook if configured
-      if (this.config.KEYS.WEBHOOK_URL) {
-        await this.sendToWebhook(this.config.KEYS.WEBHOOK_URL, eventData);
+    await this.dispatchEvent(eventData);
+  }
+
+  /**
+   * Emit a circuit breaker transition as a routing event
+   * outcome is DEGRADED when a dependency's circuit opens and RECOVERED when it closes;
+   * failed half-open trials re-open silently so a long outage is reported once
+   */
+  async logCircuitEvent(dependency, state, previousState) {
+    if (state === CIRCUIT_STATES.HALF_OPEN || previousState === CIRCUIT_STATES.HALF_OPEN && state === CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    
+    await this.dispatchEvent({
+      timestamp: new Date().toISOString(),
+      type: 'CIRCUIT_BREAKER',
+      dependency,
+      state,
+      previousState,
+      outcome: state === CIRCUIT_STATES.OPEN ? 'DEGRADED' : 'RECOVERED',
+      degradedDependencies: this.getDegradedDependencies()
+    });
+  }
+
+  /**
+   * Log an event to the console and hand it to its webhook subscribers and JSONBin
+   * With the outbox on, delivery happens in the background and routing never waits on a sink
+   */
+  async dispatchEvent(eventData) {
+    const subscribers = this.subscriptions.match(eventData);
+    this.alerts?.notify(eventData);
+    
+    if (this.outbox) {
+      const sinks = subscribers.map(subscriber => `webhook:${subscriber.id}`);
+      if (this.config.KEYS.JSONBIN) sinks.push('jsonbin');
+      
+      try {
+        this.outbox.enqueue(eventData, sinks);
+      } catch (error) {
+        console.error('Failed to queue routing event:', error);
       }
+      console.log('📊 Routing event:', eventData);
+      return;
+    }
+    
+    try {
+      // Send to every subscriber that wants the event
+      await Promise.all(subscribers.map(subscriber =>
+        this.sinks.deliverToSubscriber(subscriber, eventData).catch(error => {
+          if (!(error instanceof CircuitOpenError)) {
+            console.warn(`Webhook delivery to ${subscriber.id} failed:`, error.message);
+          }
+        })
+      ));
       
       // Store in JSONBin if configured
       if (this.config.KEYS.JSONBIN) {
@@ -321,93 +1044,445 @@ class ProductionLeadRouter {
   }
 
   /**
-   * Send data to webhook
+   * Circuit breaker for a dependency, created on first use
+   */
+  getBreaker(name) {
+    if (!this.breakers[name]) {
+      const settings = this.config.CIRCUIT_BREAKER || {};
+      this.breakers[name] = new CircuitBreaker(name, {
+        failureThreshold: settings.FAILURE_THRESHOLD,
+        resetTimeout: settings.RESET_TIMEOUT,
+        halfOpenMaxCalls: settings.HALF_OPEN_MAX_CALLS,
+        onStateChange: (dependency, state, previousState) => {
+          console.warn(`⚡ Circuit for ${dependency}: ${previousState} -> ${state}`);
+          this.logCircuitEvent(dependency, state, previousState);
+        }
+      });
+    }
+    return this.breakers[name];
+  }
+
+  /**
+   * Run an HTTP call through the dependency's breaker
+   * 429 and 5xx responses count as failures, so callers fall back on any rejection
+   */
+  async callDependency(name, request) {
+    return this.sinks.callDependency(name, request);
+  }
+
+  /**
+   * Dependencies whose circuit is not closed
+   */
+  getDegradedDependencies() {
+    return Object.keys(this.breakers)
+      .filter(name => this.breakers[name].state !== CIRCUIT_STATES.CLOSED);
+  }
+
+  /**
+   * Send data to webhook; false when it could not be delivered
    */
   async sendToWebhook(url, data) {
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
-        timeout: this.config.REQUEST_TIMEOUT
-      });
-      
-      return response.ok;
+      await this.sinks.postWebhook(url, data);
+      return true;
     } catch (error) {
-      console.warn('Webhook delivery failed:', error.message);
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn('Webhook delivery failed:', error.message);
+      }
       return false;
     }
   }
 
   /**
-   * Store event data for analytics
+   * Store event data for analytics; false when it could not be stored
    */
   async storeEventData(eventData) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const binId = `analytics-${today}`;
-      
-      // This would append to daily analytics bin
-      const response = await fetch(`${this.config.APIs.DATA_STORAGE}/b/${binId}`, {
-        method: 'POST',
-        headers: {
-          'X-Master-Key': this.config.KEYS.JSONBIN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(eventData)
-      });
-      
-      return response.ok;
+      await this.sinks.postEventData(eventData);
+      return true;
     } catch (error) {
-      console.warn('Failed to store event data:', error.message);
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn('Failed to store event data:', error.message);
+      }
       return false;
     }
   }
 
+  /**
+   * Outbox sinks of the alert channels that are configured
+   */
+  getAlertChannels() {
+    const alerts = this.config.ALERTS || {};
+    const channels = [];
+    if (alerts.SLACK_WEBHOOK_URL) channels.push('alert:slack');
+    if (alerts.EMAIL?.SMTP_HOST && alerts.EMAIL.TO?.length > 0) channels.push('alert:email');
+    return channels;
+  }
+
+  /**
+   * Hand an alert to every channel, through the outbox when there is one
+   */
+  async sendAlert(alert) {
+    const channels = this.getAlertChannels();
+    
+    if (this.outbox) {
+      this.outbox.enqueue(alert, channels);
+      return;
+    }
+    
+    const senders = { 'alert:slack': () => this.sinks.postSlackAlert(alert), 'alert:email': () => this.sinks.emailAlert(alert) };
+    await Promise.all(channels.map(channel => senders[channel]().catch(error => {
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn(`Alert to ${channel} failed:`, error.message);
+      }
+    })));
+  }
+
   // Utility methods
   validateLead(lead) {
-    return lead && lead.id && lead.zip && /^\d{5}$/.test(lead.zip);
+    return this.getLeadValidationErrors(lead).length === 0;
+  }
+
+  getLeadValidationErrors(lead) {
+    return validateLeadInput(lead, this.config.DEFAULT_COUNTRY);
+  }
+
+  /**
+   * 0-100 lead score from the configured scorer (heuristic or trained model)
+   */
+  calculateLeadScore(lead, options) {
+    return this.scoreLead(lead, options).score;
   }
 
-  calculateLeadScore(lead) {
-    let score = lead.leadScore || 50;
+  /**
+   * Score a lead and explain it: { score, explanation } where the explanation carries the
+   * base score, every adjustment with its contribution, the cap and the hot-lead threshold
+   */
+  scoreLead(lead, { distance = null } = {}) {
+    const result = this.leadScorer.score(lead, {
+      now: Date.now(),
+      timeZone: this.resolveTimeZone(lead.timezone, `lead ${lead.id}`),
+      distance,
+      distanceUnit: this.config.DISTANCE_UNIT || 'miles'
+    });
+    const threshold = this.config.HIGH_SCORE_THRESHOLD;
     
-    // Source multipliers
-    const sourceBonus = {
-      'facebook': 1.2,
-      'google': 1.1,
-      'referral': 1.3,
-      'website': 1.0,
-      'walk-in': 0.9
+    return {
+      score: result.score,
+      explanation: {
+        model: result.model || this.leadScorer.name || 'custom',
+        ...result.explanation,
+        ...(result.probability !== undefined && { probability: result.probability }),
+        score: result.score,
+        threshold,
+        isHighPriority: result.score >= threshold,
+        classification: result.score >= threshold ? 'high_priority' : 'standard'
+      }
     };
+  }
+
+  selectOptimalLocation(lead, locations) {
+    return this.rankByRules(lead, locations).locations[0] || null;
+  }
+
+  /**
+   * Order the active locations with capacity by weighted score and the active rule set,
+   * then let the distribution strategy order the tie band at the top
+   * Returns { locations, matchedRules, effects, version, ruleSet, breakdown, band } where
+   * breakdown lists every candidate's score, factors and rank (null when excluded)
+   */
+  rankByRules(lead, locations) {
+    const available = locations.filter(loc => 
+      loc.capacity?.hasCapacity && loc.status === 'active'
+    );
+    const scores = this.scoreLocations(lead, available);
+    const ruleSet = this.activeRuleSet;
+    const evaluation = evaluateRules(ruleSet, {
+      lead,
+      time: this.getLeadLocalTime(lead),
+      locations: available,
+      score: location => scores.get(location.id).score
+    });
+    const { locations: ordered, band } = this.applyDistribution(evaluation, scores);
+    const inBand = new Set(band.map(candidate => candidate.id));
+    
+    const ranked = ordered.map((location, i) => ({ location, rank: i + 1 }));
+    const excluded = available
+      .filter(location => evaluation.excluded[location.id])
+      .map(location => ({ location, rank: null }));
+    const breakdown = ranked.concat(excluded).map(({ location, rank }) => {
+      const { score, factors } = scores.get(location.id);
+      const boost = evaluation.boosts[location.id] || 0;
+      return {
+        locationId: location.id,
+        name: location.name,
+        rank,
+        score,
+        boost,
+        total: Math.round((score + boost) * 10) / 10,
+        factors,
+        tieBand: inBand.has(location.id),
+        excludedBy: evaluation.excluded[location.id] || null
+      };
+    });
     
-    score *= sourceBonus[lead.source] || 1.0;
+    return { ...evaluation, locations: ordered, version: ruleSet.version, ruleSet, breakdown, band };
+  }
+
+  /**
+   * Hand the leading candidates that are as good as the best - same rule preferences and
+   * a total within DISTRIBUTION.TIE_BAND points - to the distribution strategy to order
+   * Returns { locations, band } with band as [{ id, weight }]
+   */
+  applyDistribution(evaluation, scores) {
+    const tieBand = this.config.DISTRIBUTION?.TIE_BAND ?? 0;
+    const [first] = evaluation.locations;
+    if (!first) return { locations: [], band: [] };
+    
+    const total = location => scores.get(location.id).score + (evaluation.boosts[location.id] || 0);
+    const tier = location => evaluation.preferences[location.id].join('');
+    const leaders = evaluation.locations.filter(location =>
+      tier(location) === tier(first) && total(first) - total(location) <= tieBand
+    );
     
-    // Profile completeness
-    if (lead.phone && lead.email && lead.firstName) score += 10;
+    // Weight is the location's share of capacity: an explicit distributionWeight, else its daily cap
+    const band = leaders.map(location => ({
+      id: location.id,
+      weight: location.distributionWeight ?? location.capacity?.dailyLeadCap ?? 1
+    }));
+    const byId = new Map(leaders.map(location => [location.id, location]));
     
-    // Time-based scoring
-    const hour = new Date().getHours();
-    if (hour >= 9 && hour <= 17) score += 5;
+    return {
+      locations: this.distributor.order(band).map(id => byId.get(id)).concat(evaluation.locations.slice(leaders.length)),
+      band
+    };
+  }
+
+  /**
+   * Weighted score per location id: { score, factors }
+   * Hot leads use SCORING.HOT_LEAD_WEIGHTS, which lean harder on distance
+   */
+  scoreLocations(lead, locations) {
+    const settings = { ...DEFAULT_SCORING, ...this.config.SCORING };
+    const isHot = lead.finalScore >= this.config.HIGH_SCORE_THRESHOLD;
+    const weights = (isHot && settings.HOT_LEAD_WEIGHTS) || settings.WEIGHTS;
+    const options = {
+      settings,
+      maxDistance: this.getServiceRadius(),
+      distanceUnit: this.config.DISTANCE_UNIT || 'miles',
+      maxDriveMinutes: this.config.MAX_DRIVE_MINUTES
+    };
     
-    return Math.min(100, Math.round(score));
+    return new Map(locations.map(location => [location.id, scoreLocation(location, weights, options)]));
   }
 
-  selectOptimalLocation(lead, locations) {
-    const available = locations.filter(loc => 
-      loc.capacity?.hasCapacity && loc.status === 'active'
+  /**
+   * Walk the rule-ordered locations and reserve a slot at the first that still has one
+   * Reserving happens in the same tick as the check, so a location another lead
+   * filled since capacities were read is simply skipped
+   */
+  reserveOptimalLocation(lead, locations, { stickyLocationId = null } = {}) {
+    const rules = this.rankByRules(lead, locations);
+    this.recordRuleMatches(rules);
+    const full = new Set();
+    
+    // A returning contact's location wins if the rules kept it and it has a slot;
+    // it does not take a distribution turn
+    const sticky = stickyLocationId && rules.locations.find(location => location.id === stickyLocationId);
+    if (sticky) {
+      const reservation = this.tryReserve(lead, sticky);
+      if (reservation) {
+        return { location: sticky, reservation, rules, sticky: true };
+      }
+      full.add(sticky.id);
+    }
+    
+    for (const location of rules.locations) {
+      if (full.has(location.id)) continue;
+      
+      const reservation = this.tryReserve(lead, location);
+      if (reservation) {
+        if (rules.band.some(candidate => candidate.id === location.id)) {
+          // Band members that turned out full do not take a turn
+          this.distributor.record(rules.band.filter(candidate => !full.has(candidate.id)), location.id);
+        }
+        return { location, reservation, rules, sticky: false };
+      }
+      full.add(location.id);
+    }
+    
+    return { location: null, reservation: null, rules, sticky: false };
+  }
+
+  /**
+   * Hold a ledger slot and count the lead against today's cap, or null when either is full
+   * Counting now rather than at commit stops parallel leads overshooting the cap
+   */
+  tryReserve(lead, location) {
+    const reservation = this.capacityLedger.reserve(location.id, lead.id);
+    if (!reservation) return null;
+    
+    const day = this.dailyCounters.tryIncrement(
+      location.id, this.getDailyLeadCap(location), this.getLocationTimeZone(location)
     );
+    if (!day) {
+      this.capacityLedger.release(reservation);
+      return null;
+    }
     
-    if (available.length === 0) return null;
+    return { ...reservation, day };
+  }
+
+  /**
+   * The lead's local time for rule conditions: time.weekday ('mon'), hour, minutes, date
+   */
+  getLeadLocalTime(lead, time = Date.now()) {
+    const timeZone = this.resolveTimeZone(lead.timezone, `lead ${lead.id}`);
+    const parts = localParts(time, timeZone);
     
-    if (lead.finalScore >= this.config.HIGH_SCORE_THRESHOLD) {
-      return available[0]; // Closest for high-value leads
-    } else {
-      return available.find(loc => loc.priority === 'low-traffic') || available[0];
+    return { ...parts, weekday: WEEKDAYS[parts.weekday], timeZone: timeZone || null };
+  }
+
+  /**
+   * Validate and register a rule set; activates it unless { activate: false }
+   * A version can only be reloaded with identical rules
+   */
+  loadRuleSet(ruleSet, { activate = true } = {}) {
+    const compiled = compileRuleSet(ruleSet);
+    const existing = this.ruleSets.get(compiled.version);
+    
+    if (existing && JSON.stringify(existing.rules) !== JSON.stringify(compiled.rules)) {
+      throw new Error(`Rule set version ${compiled.version} is already loaded with different rules`);
+    }
+    
+    this.ruleSets.set(compiled.version, compiled);
+    if (activate) {
+      this.activeRuleSet = compiled;
+    }
+    return compiled.version;
+  }
+
+  /**
+   * Switch to a previously loaded rule set version, e.g. to roll back
+   */
+  activateRuleSet(version) {
+    const ruleSet = this.ruleSets.get(String(version));
+    if (!ruleSet) {
+      throw new Error(`Rule set version ${version} is not loaded`);
+    }
+    this.activeRuleSet = ruleSet;
+  }
+
+  getConfiguredRuleSet() {
+    const rules = this.config.RULES || {};
+    if (rules.SET) return rules.SET;
+    
+    if (rules.FILE) {
+      const ruleSet = readJsonFile(rules.FILE, null);
+      if (!ruleSet) {
+        throw new Error(`Rule set file ${rules.FILE} not found`);
+      }
+      return ruleSet;
+    }
+    
+    return defaultRuleSet(this.config.HIGH_SCORE_THRESHOLD);
+  }
+
+  recordRuleMatches({ version, matchedRules }) {
+    const counts = this.ruleMatches[version] || (this.ruleMatches[version] = {});
+    matchedRules.forEach(id => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+  }
+
+  /**
+   * Give back a reserved slot and its daily count
+   */
+  releaseReservation(reservation) {
+    this.capacityLedger.release(reservation);
+    this.dailyCounters.decrement(reservation.locationId, reservation.day);
+  }
+
+  /**
+   * Use the reserved slot and write the new count back to JSONBin
+   */
+  async commitReservation(reservation) {
+    if (!this.capacityLedger.commit(reservation)) {
+      console.warn(`Capacity reservation ${reservation.id} expired before it was committed`);
+    }
+    
+    if (this.config.KEYS.JSONBIN) {
+      await this.storeLocationCapacity(reservation.locationId);
+    }
+  }
+
+  /**
+   * Persist a location's committed capacity so other router instances see it
+   */
+  async storeLocationCapacity(locationId) {
+    const snapshot = this.capacityLedger.rebase(locationId);
+    const record = { ...this.caches.capacity.get(locationId), ...snapshot };
+    this.caches.capacity.set(locationId, record);
+    
+    try {
+      const response = await this.callDependency('jsonbin-capacity', () =>
+        this.http.request('jsonbin-capacity', `${this.config.APIs.DATA_STORAGE}/b/capacity-${locationId}`, {
+          method: 'PUT',
+          headers: {
+            'X-Master-Key': this.config.KEYS.JSONBIN,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(record)
+        })
+      );
+      
+      return response.ok;
+    } catch (error) {
+      if (!(error instanceof CircuitOpenError)) {
+        console.warn(`Failed to store capacity for ${locationId}:`, error.message);
+      }
+      return false;
     }
   }
 
-  getRoutingReason(lead, location) {
+  /**
+   * Explain the choice from the score breakdown, e.g.
+   * 'Downtown scored 82.4 (1.2 miles away, 18 slots left) vs 71 for Westside'
+   * led by the reason of any rule that favoured the location
+   */
+  getRoutingReason(lead, location, rules = null, previous = null) {
+    const chosen = rules?.breakdown?.find(entry => entry.locationId === location.id);
+    
+    if (previous?.locationId === location.id) {
+      const since = new Date(previous.assignedAt).toISOString().slice(0, 10);
+      return `Returning contact: back to ${location.name}, where lead ${previous.leadId} was routed on ${since}`;
+    }
+    
+    if (chosen) {
+      const ruleReason = (rules.matchedRules || [])
+        .map(id => rules.ruleSet.rules.find(rule => rule.id === id))
+        .find(rule => rule.reason && rules.effects[rule.id]?.has(location.id))?.reason;
+      const eligible = rules.breakdown.filter(entry => entry.rank !== null && entry !== chosen);
+      const runnerUp = eligible.reduce((best, entry) => (!best || entry.total > best.total ? entry : best), null);
+      const skipped = eligible.filter(entry => entry.rank < chosen.rank).map(entry => entry.name);
+      const factors = topFactors(chosen);
+      
+      let reason = `${location.name} scored ${chosen.total}${factors.length ? ` (${factors.join(', ')})` : ''}`;
+      reason += runnerUp ? ` vs ${runnerUp.total} for ${runnerUp.name}` : ', the only eligible location';
+      if (skipped.length > 0) {
+        reason += `; ${skipped.join(', ')} had no slot left`;
+      }
+      
+      const tied = rules.breakdown.filter(entry => entry.tieBand && entry !== chosen).map(entry => entry.name);
+      if (chosen.tieBand && tied.length > 0 && this.distributor.strategy !== 'none') {
+        reason += `; tied with ${tied.join(', ')}, picked by ${this.distributor.strategy.replace(/_/g, '-')}`;
+      }
+      if (previous) {
+        reason += `; returning contact's previous location ${previous.locationName} is out of range, excluded or full`;
+      }
+      return ruleReason ? `${ruleReason}: ${reason}` : reason;
+    }
+    
     const isHighValue = lead.finalScore >= this.config.HIGH_SCORE_THRESHOLD;
     const isLowTraffic = location.priority === 'low-traffic';
     
@@ -422,7 +1497,7 @@ class ProductionLeadRouter {
 
   calculateRoutingConfidence(selected, allAvailable) {
     const factors = [
-      selected.distance < 10 ? 0.3 : 0.1, // Distance factor
+      this.toMiles(selected.distance) < 10 ? 0.3 : 0.1, // Distance factor
       selected.capacity?.availableSlots > 10 ? 0.3 : 0.1, // Capacity factor
       selected.status === 'active' ? 0.2 : 0, // Status factor
       allAvailable.length > 1 ? 0.2 : 0.1 // Options available
@@ -431,30 +1506,130 @@ class ProductionLeadRouter {
     return Math.round(factors.reduce((sum, f) => sum + f, 0) * 100);
   }
 
-  createErrorResponse(code, message) {
+  createErrorResponse(code, message, details = {}) {
     return {
       success: false,
       error: message,
       code: code,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...details
     };
   }
 
+  /**
+   * Capacity when no shared store answers: no slot limit of its own, so the
+   * location's daily lead cap decides (lastUpdated null keeps the ledger's last snapshot)
+   */
   getSimulatedCapacity() {
     return {
-      hasCapacity: Math.random() > 0.3,
-      availableSlots: Math.floor(Math.random() * 20) + 5,
+      hasCapacity: true,
+      availableSlots: null,
       isOperational: true,
-      lastUpdated: new Date().toISOString()
+      lastUpdated: null
     };
   }
 
+  /**
+   * Restore caches saved by saveCaches() when CACHE.PERSIST_FILE is set
+   */
+  loadCaches() {
+    const file = this.config.CACHE?.PERSIST_FILE;
+    if (!file) return;
+    
+    try {
+      const saved = readJsonFile(file, {});
+      Object.entries(saved.caches || {}).forEach(([name, entries]) => {
+        this.caches[name]?.load(entries);
+      });
+    } catch (error) {
+      console.warn(`Could not load cache file ${file}:`, error.message);
+    }
+  }
+
+  /**
+   * Write all caches to CACHE.PERSIST_FILE; close() calls it
+   */
+  saveCaches() {
+    const file = this.config.CACHE?.PERSIST_FILE;
+    if (!file) return false;
+    
+    const caches = {};
+    Object.entries(this.caches).forEach(([name, cache]) => {
+      caches[name] = cache.dump();
+    });
+    writeJsonFileAtomic(file, { version: 1, savedAt: new Date().toISOString(), caches });
+    return true;
+  }
+
+  /**
+   * Save the state that is written in batches (daily counts, distribution turns, recent
+   * leads, sticky assignments) and the caches, and stop the outbox and alert timers; call
+   * before exiting. Undelivered outbox events stay on disk for the next start.
+   */
+  close() {
+    try {
+      this.saveCaches();
+    } catch (error) {
+      console.warn(`Could not save cache file ${this.config.CACHE.PERSIST_FILE}:`, error.message);
+    }
+    this.dailyCounters.flush();
+    this.distributor.flush();
+    this.recentLeads?.flush();
+    this.contactAssignments?.flush();
+    this.outbox?.stop();
+    this.alerts?.stop();
+  }
+
   getMetrics() {
+    const caches = {};
+    let cacheHits = 0;
+    let cacheLookups = 0;
+    let cacheSize = 0;
+    
+    Object.entries(this.caches).forEach(([name, cache]) => {
+      const stats = cache.getStats();
+      caches[name] = stats;
+      cacheHits += stats.hits;
+      cacheLookups += stats.hits + stats.misses;
+      cacheSize += stats.size;
+    });
+    
+    const circuitBreakers = {};
+    Object.entries(this.breakers).forEach(([name, breaker]) => {
+      circuitBreakers[name] = breaker.getState();
+    });
+    
+    // Queued deliveries per subscriber, from the outbox's webhook:<id> sinks
+    const pendingBySubscriber = {};
+    Object.entries(this.outbox ? this.outbox.getStats().pendingBySink : {}).forEach(([sink, pending]) => {
+      if (sink.startsWith('webhook:')) pendingBySubscriber[sink.slice('webhook:'.length)] = pending;
+    });
+    
     return {
       ...this.metrics,
-      cacheHitRate: this.metrics.cacheHits / this.metrics.apiCalls,
+      cacheHits,
+      cacheHitRate: cacheLookups ? cacheHits / cacheLookups : 0,
       successRate: this.metrics.successfulRoutes / this.metrics.apiCalls,
-      cacheSize: this.cache.size
+      cacheSize,
+      caches,
+      geocoding: this.geocoder.getStats(),
+      http: this.http.getMetrics(),
+      capacity: this.capacityLedger.getStats(),
+      dailyLeadCounts: this.dailyCounters.getStats(),
+      distribution: this.distributor.getStats(),
+      recentLeads: this.recentLeads ? this.recentLeads.getStats() : null,
+      contactAssignments: this.contactAssignments ? this.contactAssignments.getStats() : null,
+      outbox: this.outbox ? this.outbox.getStats() : null,
+      webhookSubscriptions: this.subscriptions.getStats(pendingBySubscriber),
+      alerts: this.alerts ? this.alerts.getStats() : null,
+      leadScoringModel: this.leadScorer.name || 'custom',
+      rules: {
+        activeVersion: this.activeRuleSet.version,
+        versions: Array.from(this.ruleSets.keys()),
+        matches: JSON.parse(JSON.stringify(this.ruleMatches))
+      },
+      circuitBreakers,
+      degraded: this.getDegradedDependencies().length > 0
     };
   }
 }
@@ -509,6 +1684,8 @@ async function demonstrateProductionRouter() {
     
   } catch (error) {
     console.error('Demo failed:', error);
+  } finally {
+    router.close();
   }
 }
 
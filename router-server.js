@@ -0,0 +1,256 @@
+/**
+ * HTTP service for the production lead router
+ * Gives GHL workflows a custom-webhook target:
+ *   POST /route    - GHL contact webhook payload in, routing result out
+ *   GET  /health   - liveness plus degraded dependencies
+ *   GET  /metrics  - router metrics and per-status request counts
+ *
+ * POST /route must be HMAC-signed with the sending sub-account's secret
+ * (WEBHOOK_SECURITY in the router config, scheme in lib/webhook-signature.js).
+ *
+ * Usage: node router-server.js --locations locations.json [--port 3000]
+ * Errors share the router's shape { success: false, error, code, timestamp, ... } and router
+ * codes map to 4xx statuses (ROUTER_STATUS below); only SYSTEM_ERROR is a 500.
+ */
+
+const http = require('http');
+const { ProductionLeadRouter, PRODUCTION_CONFIG } = require('./production-router');
+const { subAccountId, validateGhlPayload, leadFromGhlPayload } = require('./lib/ghl-payload');
+const { verifySignature, NonceCache, SignatureError } = require('./lib/webhook-signature');
+const { readJsonFile } = require('./lib/json-file');
+
+const ROUTER_STATUS = {
+  INVALID_LEAD: 422,
+  OUT_OF_RANGE: 422,
+  NO_CAPACITY: 409,
+  SYSTEM_ERROR: 500
+};
+
+const SIGNATURE_STATUS = {
+  MISSING_SIGNATURE: 401,
+  INVALID_SIGNATURE: 401,
+  STALE_TIMESTAMP: 401,
+  UNKNOWN_SUB_ACCOUNT: 401,
+  REPLAYED_REQUEST: 409
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function loadLocations(locationsFile) {
+  const data = readJsonFile(locationsFile, null);
+  if (!data) {
+    throw new Error(`Locations file ${locationsFile} not found`);
+  }
+
+  const locations = Array.isArray(data) ? data : data.locations;
+  if (!Array.isArray(locations)) {
+    throw new Error(`Locations file ${locationsFile} must hold an array or { locations: [...] }`);
+  }
+  return locations;
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Drain the rest unread so the 413 still reaches the client
+        req.removeListener('data', onData);
+        req.resume();
+        reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Build (but do not start) the HTTP server
+ * options: { router, config, locations | locationsFile, maxBodyBytes, now }
+ * `now` is the clock for signature timestamps and nonces (tests move it forward)
+ * The server exposes `router` and `stats` for embedding and shutdown
+ */
+function createRouterServer(options = {}) {
+  const router = options.router || new ProductionLeadRouter(options.config || PRODUCTION_CONFIG);
+  const locations = options.locations || (options.locationsFile ? loadLocations(options.locationsFile) : []);
+  const maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+  const security = router.config.WEBHOOK_SECURITY || {};
+  const now = options.now || Date.now;
+  const nonces = new NonceCache({ tolerance: security.TOLERANCE, now });
+  const startedAt = Date.now();
+  const stats = { requests: 0, byStatus: {}, rejectedSignatures: {} };
+
+  /**
+   * Verify the request against its sub-account's secret ('*' covers unlisted sub-accounts)
+   */
+  function verifyRequest(req, body, payload) {
+    const subAccount = subAccountId(payload);
+    const secrets = security.SECRETS || {};
+    const secret = (subAccount && secrets[subAccount]) || secrets['*'];
+
+    try {
+      if (!secret) {
+        throw new SignatureError('UNKNOWN_SUB_ACCOUNT', `No webhook secret for sub-account ${subAccount || '(none)'}`);
+      }
+      verifySignature({ secret, body, headers: req.headers, tolerance: security.TOLERANCE, nonces, now: now() });
+    } catch (error) {
+      if (!(error instanceof SignatureError)) throw error;
+      stats.rejectedSignatures[error.code] = (stats.rejectedSignatures[error.code] || 0) + 1;
+      throw new HttpError(SIGNATURE_STATUS[error.code], error.code, error.message);
+    }
+  }
+
+  async function routeRequest(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.includes('application/json')) {
+      throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json');
+    }
+
+    const body = await readBody(req, maxBodyBytes);
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_JSON', `Body is not valid JSON: ${error.message}`);
+    }
+    if (security.REQUIRE_SIGNATURE !== false) {
+      verifyRequest(req, body, payload);
+    }
+
+    const payloadErrors = validateGhlPayload(payload);
+    if (payloadErrors.length > 0) {
+      throw new HttpError(400, 'INVALID_PAYLOAD', payloadErrors.map(e => `${e.field}: ${e.message}`).join('; '), {
+        fields: payloadErrors
+      });
+    }
+    if (locations.length === 0) {
+      throw new HttpError(503, 'NO_LOCATIONS', 'No locations are configured');
+    }
+
+    const result = await router.routeLead(leadFromGhlPayload(payload), locations);
+    return { status: result.success ? 200 : ROUTER_STATUS[result.code] || 400, body: result };
+  }
+
+  function health() {
+    const degraded = router.getDegradedDependencies();
+    return {
+      status: degraded.length > 0 ? 'degraded' : 'ok',
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+      locations: locations.length,
+      rulesVersion: router.activeRuleSet.version,
+      degradedDependencies: degraded
+    };
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const routes = {
+      '/route': { POST: () => routeRequest(req) },
+      '/health': { GET: () => ({ status: 200, body: health() }) },
+      '/metrics': { GET: () => ({ status: 200, body: { ...router.getMetrics(), server: stats } }) }
+    };
+
+    if (!routes[pathname]) {
+      throw new HttpError(404, 'NOT_FOUND', `No route for ${pathname}`);
+    }
+    const handler = routes[pathname][req.method];
+    if (!handler) {
+      res.setHeader('Allow', Object.keys(routes[pathname]).join(', '));
+      throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${pathname}`);
+    }
+
+    return handler();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    stats.requests++;
+    let response;
+
+    try {
+      response = await handle(req, res);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Server error:', error);
+      }
+      const status = error instanceof HttpError ? error.status : 500;
+      const code = error instanceof HttpError ? error.code : 'SYSTEM_ERROR';
+      response = { status, body: router.createErrorResponse(code, error.message, error.details) };
+    }
+
+    stats.byStatus[response.status] = (stats.byStatus[response.status] || 0) + 1;
+    if (!res.headersSent && !res.destroyed) {
+      sendJson(res, response.status, response.body);
+    }
+  });
+
+  server.router = router;
+  server.stats = stats;
+  return server;
+}
+
+function parseArgs(argv) {
+  const options = { port: Number(process.env.PORT) || 3000, locations: process.env.LOCATIONS_FILE || null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in options) {
+      const value = argv[++i];
+      options[flag] = flag === 'port' ? Number(value) : value;
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.locations) {
+    console.error('Usage: node router-server.js --locations <locations.json> [--port 3000]');
+    process.exit(1);
+  }
+
+  const server = createRouterServer({ locationsFile: options.locations });
+  server.listen(options.port, () => {
+    console.log(`🚀 Lead router listening on http://localhost:${server.address().port} (POST /route, GET /health, GET /metrics)`);
+  });
+
+  // Finish in-flight requests and save batched state before exiting
+  const shutdown = () => {
+    server.close(() => {
+      server.router.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = { createRouterServer, ROUTER_STATUS, SIGNATURE_STATUS, HttpError };
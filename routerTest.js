@@ -22,39 +22,45 @@ const CONFIG = {
   NOMINATIM_API: 'https://nominatim.openstreetmap.org',
   WEBHOOK_SITE_API: 'https://webhook.site', // For testing webhooks
   JSONBIN_API: 'https://api.jsonbin.io/v3', // Free JSON storage
-  JSONBIN_API_KEY: process.env.JSONBIN_API_KEY || '' // Get free at jsonbin.io
+  JSONBIN_API_KEY: process.env.JSONBIN_API_KEY || '', // Get free at jsonbin.io
+  LEAD_SCORE_MODEL_FILE: process.env.LEAD_SCORE_MODEL_FILE || '' // Trained by scripts/train-lead-model.js
 };
 
+// Geocoding: bundled offline ZIP centroids first, then Zippopotam, then Nominatim.
+// These modules and data/ ship with the repository; run this file from a checkout, not on its own.
+const { ZipCentroidDatabase } = require('./lib/geo/zip-centroids');
+const { LocalTableProvider, ZippopotamProvider, NominatimProvider } = require('./lib/geo/providers');
+const { GeocoderChain } = require('./lib/geo/geocoder');
+
+const zipCentroids = new ZipCentroidDatabase();
+const geocoder = new GeocoderChain([
+  new LocalTableProvider({ database: zipCentroids }),
+  new ZippopotamProvider({ baseUrl: CONFIG.ZIPPOPOTAM_API }),
+  new NominatimProvider({ baseUrl: CONFIG.NOMINATIM_API })
+]);
+
+// Lead scoring: the trained model when one is configured, otherwise the source multiplier heuristic
+const { createLeadScorer, loadLeadModel } = require('./lib/lead-scoring');
+const leadScorer = createLeadScorer({
+  model: CONFIG.LEAD_SCORE_MODEL_FILE ? loadLeadModel(CONFIG.LEAD_SCORE_MODEL_FILE) : null,
+  baseScore: 0
+});
+
 // ================== UTILITY FUNCTIONS ==================
 
 /**
- * Get geographic coordinates for a zip code using free Zippopotam API
+ * Get geographic coordinates for a zip code from the geocoder chain
+ * Result includes `source`, the provider that answered
  */
 async function getZipCoordinates(zipCode) {
   try {
-    const response = await fetch(`${CONFIG.ZIPPOPOTAM_API}/us/${zipCode}`, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'GHL-Lead-Router/1.0'
-      }
-    });
+    const coords = await geocoder.lookup(zipCode);
     
-    if (!response.ok) {
-      throw new Error(`Zip code lookup failed: ${response.status}`);
+    if (!coords) {
+      throw new Error('No coordinates found for zip code');
     }
     
-    const data = await response.json();
-    
-    if (data.places && data.places.length > 0) {
-      return {
-        lat: parseFloat(data.places[0].latitude),
-        lng: parseFloat(data.places[0].longitude),
-        city: data.places[0]['place name'],
-        state: data.places[0]['state abbreviation']
-      };
-    }
-    
-    throw new Error('No coordinates found for zip code');
+    return coords;
   } catch (error) {
     console.error(`Error getting coordinates for zip ${zipCode}:`, error);
     return null;
@@ -98,32 +104,16 @@ function calculateHaversineDistance(coords1, coords2) {
 }
 
 /**
- * Calculate distance between two zip codes (simplified haversine formula)
- * In production, this would integrate with Google Maps Distance Matrix API
+ * Calculate distance between two zip codes using only the bundled centroid table
+ * Used as the offline fallback when the API-backed calculation throws
  */
 function calculateDistance(zip1, zip2) {
-  // Mock implementation - in real scenario, use Google Maps API
-  const zipCoords = {
-    '90001': { lat: 34.0224, lng: -118.2437 },
-    '90210': { lat: 34.0901, lng: -118.4065 },
-    '10001': { lat: 40.7505, lng: -73.9934 },
-    // Add more zip codes as needed
-  };
-  
-  const coords1 = zipCoords[zip1];
-  const coords2 = zipCoords[zip2];
+  const coords1 = zipCentroids.lookup(zip1);
+  const coords2 = zipCentroids.lookup(zip2);
   
   if (!coords1 || !coords2) return 999; // Unknown distance
   
-  const R = 3959; // Earth's radius in miles
-  const dLat = (coords2.lat - coords1.lat) * Math.PI / 180;
-  const dLng = (coords2.lng - coords1.lng) * Math.PI / 180;
-  
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(coords1.lat * Math.PI / 180) * Math.cos(coords2.lat * Math.PI / 180) *
-    Math.sin(dLng/2) * Math.sin(dLng/2);
-    
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return calculateHaversineDistance(coords1, coords2);
 }
 
 /**
@@ -156,30 +146,10 @@ async function getNearestLocations(leadZip, locations) {
 }
 
 /**
- * Calculate lead score based on multiple factors
+ * Calculate lead score based on multiple factors (see lib/lead-scoring.js)
  */
 function calculateLeadScore(lead) {
-  let score = lead.leadScore || 0;
-  
-  // Boost score based on lead source
-  const sourceMultipliers = {
-    'facebook': 1.2,
-    'google': 1.1,
-    'website': 1.0,
-    'referral': 1.3,
-    'walk-in': 0.9
-  };
-  
-  score *= sourceMultipliers[lead.source] || 1.0;
-  
-  // Boost for complete profile
-  if (lead.phone && lead.email && lead.firstName) score += 10;
-  
-  // Time-based scoring (leads during business hours get boost)
-  const hour = new Date().getHours();
-  if (hour >= 9 && hour <= 17) score += 5;
-  
-  return Math.min(100, Math.round(score));
+  return leadScorer.score(lead).score;
 }
 
 /**
@@ -0,0 +1,166 @@
+/**
+ * Routing benchmark
+ * Routes synthetic leads against synthetic locations and reports latency percentiles
+ *
+ * Usage: node scripts/benchmark-routing.js [--leads 10000] [--locations 500] [--linear] [--seed 42]
+ * --linear disables the spatial index to measure the per-location scan for comparison
+ */
+
+const { ProductionLeadRouter, PRODUCTION_CONFIG } = require('../production-router');
+const { ZipCentroidDatabase } = require('../lib/geo/zip-centroids');
+
+function parseArgs(argv) {
+  const options = { leads: 10000, locations: 500, linear: false, seed: 42 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'linear') {
+      options.linear = true;
+    } else if (flag in options) {
+      options[flag] = Number(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so runs are comparable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Locations sit on real ZIP centroids in the contiguous US
+ */
+function createLocations(count, random) {
+  const centroids = Array.from(new ZipCentroidDatabase().loadDataset('US').entries.entries())
+    .filter(([, c]) => c.lat > 24 && c.lat < 50 && c.lng > -125 && c.lng < -66);
+
+  return Array.from({ length: count }, (_, i) => {
+    const [zipCode, coords] = centroids[Math.floor(random() * centroids.length)];
+    return {
+      id: `bench_loc_${i}`,
+      name: `Benchmark Location ${i}`,
+      zipCode,
+      lat: coords.lat,
+      lng: coords.lng,
+      priority: random() < 0.5 ? 'low-traffic' : 'high-traffic',
+      status: 'active'
+    };
+  });
+}
+
+/**
+ * Leads land up to ~30 miles from a random location, with raw GPS coordinates
+ */
+function createLeads(count, locations, random) {
+  const sources = ['facebook', 'google', 'referral', 'website', 'walk-in'];
+
+  return Array.from({ length: count }, (_, i) => {
+    const anchor = locations[Math.floor(random() * locations.length)];
+    return {
+      id: `bench_lead_${i}`,
+      lat: anchor.lat + (random() - 0.5) * 0.9,
+      lng: anchor.lng + (random() - 0.5) * 0.9,
+      leadScore: Math.floor(random() * 100),
+      source: sources[Math.floor(random() * sources.length)]
+    };
+  });
+}
+
+function percentile(sorted, p) {
+  const rank = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+  return sorted[Math.max(0, rank)];
+}
+
+async function runBenchmark(options) {
+  const random = createRandom(options.seed);
+  const locations = createLocations(options.locations, random);
+  const leads = createLeads(options.leads, locations, random);
+
+  const router = new ProductionLeadRouter({
+    ...PRODUCTION_CONFIG,
+    KEYS: { JSONBIN: '', WEBHOOK_URL: '', GHL: '' },
+    GEOCODING: { ...PRODUCTION_CONFIG.GEOCODING, PROVIDERS: ['local'] },
+    SPATIAL_INDEX: !options.linear,
+    // Synthetic leads must not touch the state of a real deployment
+    DAILY_COUNTS_FILE: null,
+    DEDUP: { ...PRODUCTION_CONFIG.DEDUP, STATE_FILE: null },
+    STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, STATE_FILE: null },
+    DISTRIBUTION: { ...PRODUCTION_CONFIG.DISTRIBUTION, STATE_FILE: null },
+    OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null }
+  });
+
+  // Routing events are logged to the console; keep the benchmark output readable
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  const latencies = [];
+  const outcomes = {};
+  const started = process.hrtime.bigint();
+
+  try {
+    for (const lead of leads) {
+      const t0 = process.hrtime.bigint();
+      const result = await router.routeLead(lead, locations);
+      latencies.push(Number(process.hrtime.bigint() - t0) / 1e6);
+
+      const outcome = result.success ? 'SUCCESS' : result.code;
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    router.close();
+  }
+
+  const totalMs = Number(process.hrtime.bigint() - started) / 1e6;
+  latencies.sort((a, b) => a - b);
+
+  return {
+    mode: options.linear ? 'linear scan' : 'spatial index',
+    leads: leads.length,
+    locations: locations.length,
+    totalMs: Math.round(totalMs),
+    leadsPerSecond: Math.round(leads.length / (totalMs / 1000)),
+    p50: percentile(latencies, 50).toFixed(3),
+    p90: percentile(latencies, 90).toFixed(3),
+    p99: percentile(latencies, 99).toFixed(3),
+    max: latencies[latencies.length - 1].toFixed(3),
+    outcomes
+  };
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log(`⏱️  Routing ${options.leads} leads against ${options.locations} locations...\n`);
+
+  runBenchmark(options)
+    .then(report => {
+      console.log(`Mode:        ${report.mode}`);
+      console.log(`Total:       ${report.totalMs} ms (${report.leadsPerSecond} leads/s)`);
+      console.log(`Latency p50: ${report.p50} ms`);
+      console.log(`Latency p90: ${report.p90} ms`);
+      console.log(`Latency p99: ${report.p99} ms`);
+      console.log(`Latency max: ${report.max} ms`);
+      console.log(`Outcomes:    ${JSON.stringify(report.outcomes)}`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Benchmark failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBenchmark };
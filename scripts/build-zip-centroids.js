@@ -0,0 +1,60 @@
+/**
+ * Build a ZIP centroid data file from a US Census Gazetteer ZCTA file
+ *
+ * Usage: node scripts/build-zip-centroids.js <2021_Gaz_zcta_national.txt> <version>
+ * Writes data/zip-centroids/us-<version>.csv and adds it to manifest.json as the current version;
+ * earlier versions stay listed so GEOCODING.DATA_VERSIONS can still select them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DATA_DIR } = require('../lib/geo/zip-centroids');
+
+function buildZipCentroids(gazetteerPath, version) {
+  const rows = fs.readFileSync(gazetteerPath, 'utf8')
+    .split('\n')
+    .slice(1) // Column header
+    .map(line => line.trim().split('\t'))
+    .filter(columns => columns.length >= 7)
+    .map(([zip, , , , , lat, lng]) => `${zip},${round(lat)},${round(lng)}`)
+    .sort();
+
+  const fileName = `us-${version}.csv`;
+  const header = [
+    '# US ZIP Code Tabulation Area (ZCTA) centroids',
+    `# source: US Census Bureau ${version} Gazetteer Files (public domain)`,
+    'zip,lat,lng'
+  ];
+
+  fs.writeFileSync(path.join(DEFAULT_DATA_DIR, fileName), header.concat(rows).join('\n') + '\n');
+
+  const manifestPath = path.join(DEFAULT_DATA_DIR, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const versions = manifest.US?.versions || {};
+  versions[version] = {
+    file: fileName,
+    source: `US Census Bureau ${version} Gazetteer Files - ZIP Code Tabulation Areas`
+  };
+  manifest.US = { current: version, versions };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  return rows.length;
+}
+
+function round(value) {
+  return String(Math.round(parseFloat(value) * 1e5) / 1e5);
+}
+
+if (require.main === module) {
+  const [gazetteerPath, version] = process.argv.slice(2);
+
+  if (!gazetteerPath || !version) {
+    console.error('Usage: node scripts/build-zip-centroids.js <gazetteer-file> <version>');
+    process.exit(1);
+  }
+
+  const count = buildZipCentroids(gazetteerPath, version);
+  console.log(`✅ Wrote ${count} ZIP centroids (version ${version})`);
+}
+
+module.exports = { buildZipCentroids };
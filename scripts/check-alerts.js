@@ -0,0 +1,113 @@
+/**
+ * End-to-end check of routing alerts against the fake Slack and SMTP sinks
+ * Routes a burst of leads at two locations capped at one lead a day, plus one lead out of
+ * range, and expects one alert per location and event type, then one summary per location
+ * once the (shortened) throttle window ends, each on both Slack and email.
+ *
+ * Usage: node scripts/check-alerts.js
+ * Exits with code 1 when the alerts received differ from the expected ones
+ */
+
+const path = require('path');
+const { ProductionLeadRouter, PRODUCTION_CONFIG } = require('../production-router');
+const { startFakeSlack, startFakeSmtp } = require('./fake-alert-sinks');
+const { readJsonFile } = require('../lib/json-file');
+
+const PAYLOAD_DIR = path.join(__dirname, '..', 'data', 'ghl-payloads');
+const THROTTLE = 1000;
+const BURST = 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition() && Date.now() < deadline) {
+    await sleep(50);
+  }
+}
+
+async function checkAlerts() {
+  const [slack, smtp] = await Promise.all([startFakeSlack(), startFakeSmtp()]);
+  const locations = readJsonFile(path.join(PAYLOAD_DIR, 'locations.json')).locations;
+
+  const router = new ProductionLeadRouter({
+    ...PRODUCTION_CONFIG,
+    KEYS: { JSONBIN: '', WEBHOOK_URL: '', GHL: '' },
+    GEOCODING: { ...PRODUCTION_CONFIG.GEOCODING, PROVIDERS: ['local'] },
+    MAX_DAILY_LEADS_PER_LOCATION: 1,
+    DAILY_COUNTS_FILE: null,
+    DEDUP: { ...PRODUCTION_CONFIG.DEDUP, ENABLED: false },
+    STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, ENABLED: false },
+    DISTRIBUTION: { ...PRODUCTION_CONFIG.DISTRIBUTION, STATE_FILE: null },
+    OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null, POLL_INTERVAL: 50 },
+    WEBHOOK_SUBSCRIPTIONS: { FILE: null, LIST: [] },
+    ALERTS: {
+      ...PRODUCTION_CONFIG.ALERTS,
+      THROTTLE,
+      SLACK_WEBHOOK_URL: `http://127.0.0.1:${slack.address().port}/slack`,
+      EMAIL: {
+        ...PRODUCTION_CONFIG.ALERTS.EMAIL,
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: smtp.address().port,
+        USERNAME: 'alerts',
+        PASSWORD: 'secret',
+        ALLOW_INSECURE_AUTH: true, // The fake relay has no TLS
+        FROM: 'Lead Router <router@example.com>',
+        TO: ['ops@example.com', 'regional@example.com']
+      }
+    }
+  });
+
+  // Routing events go to the console; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  const outcomes = {};
+  try {
+    for (let i = 0; i < BURST; i++) {
+      const result = await router.routeLead({ id: `alert_lead_${i}`, zip: '90210', source: 'facebook' }, locations);
+      outcomes[result.code || 'SUCCESS'] = (outcomes[result.code || 'SUCCESS'] || 0) + 1;
+    }
+    const outOfRange = await router.routeLead({ id: 'alert_lead_far', zip: '10001', source: 'website' }, locations);
+    outcomes[outOfRange.code || 'SUCCESS'] = (outcomes[outOfRange.code || 'SUCCESS'] || 0) + 1;
+  } finally {
+    console.log = log;
+  }
+
+  // Let the throttle window run out so the suppressed NO_CAPACITY events are summed up
+  await sleep(THROTTLE + 100);
+  router.alerts.sweep();
+
+  const expected = 1 + 1 + locations.length; // NO_CAPACITY, OUT_OF_RANGE, one summary per full location
+  await waitFor(() => slack.received.length >= expected && smtp.received.length >= expected);
+  await sleep(200); // Anything beyond the expected count would show up here
+
+  router.close();
+  await Promise.all([slack, smtp].map(server => new Promise(resolve => server.close(resolve))));
+
+  console.log(`🚨 ${BURST + 1} leads routed: ${Object.entries(outcomes).map(([code, count]) => `${count} ${code}`).join(', ')}\n`);
+  slack.received.forEach(message => console.log(`💬 ${message.body.text.split('\n')[0]}`));
+  smtp.received.forEach(mail => console.log(`✉️  ${mail.subject} (${mail.to.length} recipients, AUTH ${mail.username})`));
+
+  const problems = [];
+  [['Slack', slack.received.length], ['Email', smtp.received.length]].forEach(([channel, count]) => {
+    if (count !== expected) problems.push(`${channel}: ${count} alerts, expected ${expected}`);
+  });
+  const summaries = slack.received.filter(message => / more since /.test(message.body.text)).length;
+  if (summaries !== locations.length) {
+    problems.push(`${summaries} summaries, expected one per location (${locations.length})`);
+  }
+  return problems;
+}
+
+if (require.main === module) {
+  checkAlerts().then(problems => {
+    problems.forEach(problem => console.log(`❌ ${problem}`));
+    console.log(problems.length ? '' : '\n✅ One alert per location and event type, suppressed ones summed up');
+    process.exit(problems.length > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Alert check failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkAlerts };
@@ -0,0 +1,69 @@
+/**
+ * Business hours self-check
+ * Compiles the weekly schedule from lib/business-hours.js's header example and checks
+ * open/closed answers at fixed instants in Los Angeles, including the closed Sunday, and
+ * that "24:00" is accepted as the end of a day but "24:30" is rejected
+ *
+ * Usage: node scripts/check-business-hours.js
+ * Exits with code 1 when any answer is wrong
+ */
+
+const { compileSchedule, holidaySet, isOpenAt, nextOpenAt } = require('../lib/business-hours');
+
+const TIME_ZONE = 'America/Los_Angeles';
+
+// The example from the module header
+const HOURS = { mon: [['06:00', '12:00'], ['13:00', '21:00']], sat: { open: '08:00', close: '14:00' }, sun: [] };
+
+// October 2026 is on daylight time: local = UTC - 7h
+const at = (date, time) => Date.parse(`${date}T${time}:00-07:00`);
+
+function compileError(hours) {
+  try {
+    compileSchedule(hours);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function checkBusinessHours() {
+  const schedule = compileSchedule(HOURS);
+  const holidays = holidaySet(['2026-10-26']);
+
+  const checks = [
+    { name: 'Sunday noon is closed (sun: [])', actual: isOpenAt(schedule, at('2026-10-18', '12:00'), TIME_ZONE), expected: false },
+    { name: 'Sunday has no ranges', actual: schedule[0].length, expected: 0 },
+    { name: 'Monday 10:00 is open', actual: isOpenAt(schedule, at('2026-10-19', '10:00'), TIME_ZONE), expected: true },
+    { name: 'Monday 12:30 is the lunch break', actual: isOpenAt(schedule, at('2026-10-19', '12:30'), TIME_ZONE), expected: false },
+    { name: 'Saturday 09:00 is open ({ open, close })', actual: isOpenAt(schedule, at('2026-10-17', '09:00'), TIME_ZONE), expected: true },
+    { name: 'Tuesday (missing) is closed', actual: isOpenAt(schedule, at('2026-10-20', '10:00'), TIME_ZONE), expected: false },
+    { name: 'Holiday Monday is closed', actual: isOpenAt(schedule, at('2026-10-26', '10:00'), TIME_ZONE, holidays), expected: false },
+    {
+      name: 'Sunday noon next opens Monday 06:00',
+      actual: new Date(nextOpenAt(schedule, at('2026-10-18', '12:00'), TIME_ZONE)).toISOString(),
+      expected: new Date(at('2026-10-19', '06:00')).toISOString()
+    },
+    { name: 'Closing at 24:00 is accepted', actual: compileError({ fri: [['18:00', '24:00']] }), expected: null },
+    { name: 'Closing at 24:30 is rejected', actual: compileError({ fri: [['18:00', '24:30']] }), expected: 'Invalid time "24:30"' }
+  ];
+
+  const failures = checks.filter(check => check.actual !== check.expected);
+  checks.forEach(check => {
+    const ok = check.actual === check.expected;
+    console.log(`${ok ? '✅' : '❌'} ${check.name}${ok ? '' : `: got ${check.actual}, expected ${check.expected}`}`);
+  });
+  return failures;
+}
+
+if (require.main === module) {
+  try {
+    const failures = checkBusinessHours();
+    process.exit(failures.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Business hours check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { checkBusinessHours };
@@ -0,0 +1,175 @@
+/**
+ * Capacity reservation concurrency check
+ * Fires a burst of parallel routeLead calls at a single location whose capacity source
+ * (a local stand-in for the JSONBin capacity bin) reports a fixed number of free slots,
+ * and checks that exactly that many leads are routed and the rest get NO_CAPACITY.
+ * Then sends two copies of one lead at once and checks the second is answered as a duplicate
+ * of the first, at the same location, counting once against the daily cap.
+ *
+ * Usage: node scripts/check-concurrency.js [--leads 200] [--slots 50]
+ * Exits with code 1 when the location is overbooked or underused, or a parallel copy is routed twice
+ */
+
+const http = require('http');
+const { ProductionLeadRouter, PRODUCTION_CONFIG } = require('../production-router');
+
+function parseArgs(argv) {
+  const options = { leads: 200, slots: 50 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in options) {
+      options[flag] = Number(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * JSONBin stand-in: capacity bins start with `slots` free and keep what the router PUTs back;
+ * anything else (analytics) is accepted and dropped
+ */
+function startCapacityStub(slots) {
+  const bins = new Map();
+  const initial = { hasCapacity: slots > 0, availableSlots: slots, isOperational: true, lastUpdated: new Date().toISOString() };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body = {};
+      if (req.url.startsWith('/b/capacity-')) {
+        if (req.method === 'PUT') {
+          bins.set(req.url, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        }
+        body = { record: bins.get(req.url) || initial };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const BURST_LOCATION = {
+  id: 'burst_loc',
+  name: 'Beverly Hills Fitness',
+  zipCode: '90210',
+  lat: 34.10052,
+  lng: -118.41463,
+  status: 'active'
+};
+
+async function checkConcurrency(options) {
+  const stub = await startCapacityStub(options.slots);
+
+  const router = new ProductionLeadRouter({
+    ...PRODUCTION_CONFIG,
+    KEYS: { JSONBIN: 'check-concurrency', WEBHOOK_URL: '', GHL: '' },
+    APIs: { ...PRODUCTION_CONFIG.APIs, DATA_STORAGE: `http://127.0.0.1:${stub.address().port}` },
+    GEOCODING: { ...PRODUCTION_CONFIG.GEOCODING, PROVIDERS: ['local'] },
+    MAX_DAILY_LEADS_PER_LOCATION: null,
+    DAILY_COUNTS_FILE: null,
+    DEDUP: { ...PRODUCTION_CONFIG.DEDUP, ENABLED: false },
+    STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, ENABLED: false },
+    DISTRIBUTION: { ...PRODUCTION_CONFIG.DISTRIBUTION, STATE_FILE: null },
+    OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null },
+    WEBHOOK_SUBSCRIPTIONS: { FILE: null, LIST: [] },
+    ALERTS: { ...PRODUCTION_CONFIG.ALERTS, SLACK_WEBHOOK_URL: '', EMAIL: { ...PRODUCTION_CONFIG.ALERTS.EMAIL, SMTP_HOST: '' } }
+  });
+
+  const locations = [BURST_LOCATION];
+
+  // Routing events go to the console; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  let results;
+  try {
+    results = await Promise.all(Array.from({ length: options.leads }, (_, i) =>
+      router.routeLead({ id: `burst_lead_${i}`, zip: '90210', source: 'facebook' }, locations)
+    ));
+  } finally {
+    console.log = log;
+    router.close();
+    await new Promise(resolve => stub.close(resolve));
+  }
+
+  const outcomes = {};
+  results.forEach(result => {
+    const code = result.success ? 'SUCCESS' : result.code;
+    outcomes[code] = (outcomes[code] || 0) + 1;
+  });
+  return { outcomes, ledger: router.capacityLedger.getStats() };
+}
+
+/**
+ * Two copies of one lead routed in parallel, as Facebook resubmissions arrive
+ * Returns [first, second] results and the location's daily count
+ */
+async function checkParallelDuplicates() {
+  const router = new ProductionLeadRouter({
+    ...PRODUCTION_CONFIG,
+    KEYS: { JSONBIN: '', WEBHOOK_URL: '', GHL: '' },
+    GEOCODING: { ...PRODUCTION_CONFIG.GEOCODING, PROVIDERS: ['local'] },
+    DAILY_COUNTS_FILE: null,
+    DEDUP: { ...PRODUCTION_CONFIG.DEDUP, ENABLED: true, STATE_FILE: null },
+    STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, ENABLED: false },
+    DISTRIBUTION: { ...PRODUCTION_CONFIG.DISTRIBUTION, STATE_FILE: null },
+    OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null },
+    WEBHOOK_SUBSCRIPTIONS: { FILE: null, LIST: [] },
+    ALERTS: { ...PRODUCTION_CONFIG.ALERTS, SLACK_WEBHOOK_URL: '', EMAIL: { ...PRODUCTION_CONFIG.ALERTS.EMAIL, SMTP_HOST: '' } }
+  });
+  const lead = id => ({ id, zip: '90210', source: 'facebook', name: 'Dana Whitfield', phone: '(310) 555-0142', email: 'dana@example.com' });
+
+  const log = console.log;
+  console.log = () => {};
+  let results;
+  try {
+    results = await Promise.all([
+      router.routeLead(lead('fb_lead_1'), [BURST_LOCATION]),
+      router.routeLead(lead('fb_lead_1_resubmitted'), [BURST_LOCATION])
+    ]);
+  } finally {
+    console.log = log;
+    router.close();
+  }
+
+  return { results, dailyCount: router.dailyCounters.getStats()[BURST_LOCATION.id]?.count || 0 };
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  (async () => {
+    const { outcomes, ledger } = await checkConcurrency(options);
+    const expectedRejected = Math.max(0, options.leads - options.slots);
+    const burstOk = (outcomes.SUCCESS || 0) === Math.min(options.slots, options.leads) &&
+      (outcomes.NO_CAPACITY || 0) === expectedRejected;
+
+    console.log(`🏁 ${options.leads} parallel leads at a location with ${options.slots} slots`);
+    Object.entries(outcomes).forEach(([code, count]) => console.log(`   ${code}: ${count}`));
+    console.log(`   ledger: ${JSON.stringify(ledger)}`);
+    console.log(burstOk
+      ? `\n✅ Exactly ${options.slots} routed, ${expectedRejected} turned away`
+      : `\n❌ Expected ${options.slots} SUCCESS and ${expectedRejected} NO_CAPACITY`);
+
+    const { results: [first, second], dailyCount } = await checkParallelDuplicates();
+    const duplicateOk = first.success && !first.duplicate && second.success && second.duplicate === true &&
+      second.location.id === first.location.id && dailyCount === 1;
+
+    console.log(`\n🏁 Two copies of one lead at once: ${[first, second].map(result =>
+      result.duplicate ? 'DUPLICATE' : result.code || 'SUCCESS').join(', ')}, daily count ${dailyCount}`);
+    console.log(duplicateOk
+      ? '✅ The parallel copy is a duplicate of the first, counted once'
+      : '❌ Expected one SUCCESS, one DUPLICATE at the same location and a daily count of 1');
+
+    process.exit(burstOk && duplicateOk ? 0 : 1);
+  })().catch(error => {
+    console.error('Concurrency check failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkConcurrency, checkParallelDuplicates };
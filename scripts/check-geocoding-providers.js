@@ -0,0 +1,206 @@
+/**
+ * Geocoding provider check against a local HTTP stub
+ * Serves Zippopotam-, Nominatim- and custom-provider-shaped responses from one stub server,
+ * points the providers at it and checks response parsing, fallback along the provider chain
+ * (404s, 5xx, empty results, a body that stalls) and that Nominatim's rate limit covers retries
+ * and sheds a backlog without tripping the provider's circuit breaker.
+ *
+ * Usage: node scripts/check-geocoding-providers.js
+ * Exits with code 1 when any check fails
+ */
+
+const http = require('http');
+const { createProviders } = require('../lib/geo/providers');
+const { GeocoderChain } = require('../lib/geo/geocoder');
+const { HttpClient } = require('../lib/http-client');
+const { CircuitBreaker } = require('../lib/circuit-breaker');
+
+const NOMINATIM_INTERVAL = 200;
+const MAX_QUEUE_MS = 300;
+
+const ZIPPOPOTAM = {
+  '90210': { places: [{ latitude: '34.0901', longitude: '-118.4065' }] },
+  '60601': 500, // Zippopotam outage for this code
+  '02108': 'stall' // Headers, then a body that never finishes
+};
+const NOMINATIM = {
+  '60601': [{ lat: '41.8858', lon: '-87.6181' }],
+  '10001': [{ lat: '40.7506', lon: '-73.9972' }],
+  '02108': [{ lat: '42.3576', lon: '-71.0677' }],
+  '30301': [{ lat: '33.7490', lon: '-84.3880' }],
+  '30303': [{ lat: '33.7526', lon: '-84.3915' }]
+};
+const NOMINATIM_FLAKY = ['30301', '30303']; // 503 the first time, answered on the retry
+const CUSTOM = {
+  '94105': { latitude: 37.7898, longitude: -122.3942 }
+};
+
+/**
+ * Stub for all three providers; records { path, at } for every request in server.requests
+ */
+function startProviderStub() {
+  const requests = [];
+  const failedOnce = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push({ path: url.pathname, at: Date.now() });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const [, provider, ...rest] = url.pathname.split('/');
+    if (provider === 'zippopotam') {
+      const answer = ZIPPOPOTAM[rest[1]];
+      if (answer === 'stall') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.write('{"places": [');
+      }
+      return typeof answer === 'number' ? send(answer, {}) : send(answer ? 200 : 404, answer || {});
+    }
+    if (provider === 'nominatim') {
+      if (url.searchParams.get('street')) {
+        return send(200, [{ lat: '34.0736', lon: '-118.4004' }]);
+      }
+      const code = url.searchParams.get('postalcode');
+      if (NOMINATIM_FLAKY.includes(code) && !failedOnce.has(code)) {
+        failedOnce.add(code);
+        return send(503, {});
+      }
+      return send(200, NOMINATIM[code] || []);
+    }
+    if (provider === 'custom') {
+      const answer = CUSTOM[rest[1]];
+      return send(answer ? 200 : 404, answer || {});
+    }
+    send(404, {});
+  });
+
+  server.requests = requests;
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function createChain(baseUrl, names, timeout = 2000, breakerFor = undefined) {
+  const config = {
+    APIs: { ZIP_LOOKUP: `${baseUrl}/zippopotam`, GEOCODING_BACKUP: `${baseUrl}/nominatim` },
+    GEOCODING: {
+      CUSTOM_URL: `${baseUrl}/custom/{country}/{postalCode}`,
+      RATE_LIMITS: { nominatim: NOMINATIM_INTERVAL },
+      MAX_QUEUE_MS
+    }
+  };
+  const httpClient = new HttpClient({ timeout, attempts: 2, baseDelayMs: 0 });
+
+  return new GeocoderChain(createProviders(names, config, httpClient), {
+    rateLimits: config.GEOCODING.RATE_LIMITS,
+    maxQueueMs: MAX_QUEUE_MS,
+    breakerFor
+  });
+}
+
+async function checkGeocodingProviders() {
+  const stub = await startProviderStub();
+  const baseUrl = `http://127.0.0.1:${stub.address().port}`;
+  const results = [];
+  const check = (name, ok, detail) => results.push({ name, ok: Boolean(ok), detail });
+
+  // Failed providers are logged as warnings; keep the report readable
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const chain = createChain(baseUrl, ['zippopotam', 'nominatim', 'custom']);
+
+    const direct = await chain.lookup('90210', 'US');
+    check('Zippopotam places[0] is parsed', direct?.source === 'zippopotam' && direct.lat === 34.0901 && direct.lng === -118.4065,
+      JSON.stringify(direct));
+
+    const afterNotFound = await chain.lookup('10001', 'US');
+    check('Zippopotam 404 falls back to Nominatim', afterNotFound?.source === 'nominatim' && afterNotFound.lng === -73.9972,
+      JSON.stringify(afterNotFound));
+
+    const afterOutage = await chain.lookup('60601', 'US');
+    check('Zippopotam 500 falls back to Nominatim', afterOutage?.source === 'nominatim' && afterOutage.lat === 41.8858,
+      JSON.stringify(afterOutage));
+
+    const lastResort = await chain.lookup('94105', 'US');
+    check('Empty Nominatim result falls back to the custom provider', lastResort?.source === 'custom' && lastResort.lat === 37.7898,
+      JSON.stringify(lastResort));
+
+    const unknown = await chain.lookup('00000', 'US');
+    check('A code no provider knows resolves to null', unknown === null, JSON.stringify(unknown));
+
+    const address = await chain.lookupAddress({ line1: '1 Main St', city: 'Beverly Hills', state: 'CA', zip: null }, 'US');
+    check('Nominatim address search is parsed', address?.source === 'nominatim' && address.lat === 34.0736,
+      JSON.stringify(address));
+
+    const stats = chain.getStats();
+    check('Provider stats count hits, misses and errors',
+      stats.zippopotam.hits === 1 && stats.zippopotam.errors === 1 && stats.nominatim.hits === 3 && stats.custom.hits === 1,
+      JSON.stringify(stats));
+
+    // The timeout covers the body too, not only the headers
+    const stallChain = createChain(baseUrl, ['zippopotam', 'nominatim'], 300);
+    const afterStall = await stallChain.lookup('02108', 'US');
+    check('A stalled Zippopotam body times out and falls back to Nominatim',
+      afterStall?.source === 'nominatim' && stallChain.getStats().zippopotam.errors === 1,
+      JSON.stringify(afterStall));
+
+    // A retried Nominatim request waits for a slot of its own
+    const retryChain = createChain(baseUrl, ['nominatim']);
+    const before = stub.requests.length;
+    const retried = await retryChain.lookup('30301', 'US');
+    const attempts = stub.requests.slice(before).map(request => request.at);
+    check('Nominatim retries take their own rate limit slot',
+      retried?.lat === 33.749 && attempts.length === 2 && attempts[1] - attempts[0] >= NOMINATIM_INTERVAL - 5,
+      `${JSON.stringify(retried)} after ${attempts.length} attempts, ${attempts[attempts.length - 1] - attempts[0]}ms apart`);
+
+    // A burst larger than the queue allows moves on instead of waiting in line:
+    // slots open at 0 and 200ms, the third would be 400ms away
+    const burstChain = createChain(baseUrl, ['nominatim', 'custom']);
+    const burst = ['10001', '60601', '94105', '10002', '10003'];
+    const served = Math.floor(MAX_QUEUE_MS / NOMINATIM_INTERVAL) + 1;
+    const burstResults = await Promise.all(burst.map(zip => burstChain.lookup(zip, 'US')));
+    const burstStats = burstChain.getStats();
+    check('A Nominatim backlog over MAX_QUEUE_MS moves on to the next provider',
+      burstStats.nominatim.hits === served && burstStats.nominatim.queueFull === burst.length - served &&
+        burstStats.custom.hits + burstStats.custom.misses === burst.length - served && burstResults[2]?.source === 'custom',
+      JSON.stringify(burstStats));
+
+    // The flaky lookup's retry finds the queue full (slots at 0 and 200ms are taken, the
+    // third lookup was turned away up front): that is our backlog, not a Nominatim failure
+    const breaker = new CircuitBreaker('nominatim', { failureThreshold: 1 });
+    const breakerChain = createChain(baseUrl, ['nominatim'], 2000, () => breaker);
+    await Promise.all(['30303', '10001', '60601'].map(zip => breakerChain.lookup(zip, 'US')));
+    const breakerStats = breakerChain.getStats();
+    check('A retry turned away by the rate limit queue does not trip the circuit breaker',
+      breaker.getState().state === 'closed' && breaker.getState().failures === 0 &&
+        breakerStats.nominatim.queueFull === 2 && breakerStats.nominatim.errors === 0,
+      `${JSON.stringify(breaker.getState())} ${JSON.stringify(breakerStats)}`);
+  } finally {
+    console.warn = warn;
+    stub.closeAllConnections();
+    await new Promise(resolve => stub.close(resolve));
+  }
+
+  return results;
+}
+
+if (require.main === module) {
+  checkGeocodingProviders().then(results => {
+    results.forEach(result => {
+      console.log(`${result.ok ? '✅' : '❌'} ${result.name}`);
+      if (!result.ok) console.log(`     ${result.detail}`);
+    });
+    const failed = results.filter(result => !result.ok).length;
+    console.log(failed ? `\n${failed} check(s) failed` : '\nProviders parse, fall back and rate-limit as expected');
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Provider check failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkGeocodingProviders };
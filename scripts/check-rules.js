@@ -0,0 +1,45 @@
+/**
+ * Routing rule set validator
+ * Checks a rule set file before it is deployed or loaded with router.loadRuleSet()
+ *
+ * Usage: node scripts/check-rules.js <rules.json>
+ * Exits with code 1 when the rule set is invalid
+ */
+
+const fs = require('fs');
+const { compileRuleSet } = require('../lib/rules-engine');
+
+function checkRules(rulesPath) {
+  const ruleSet = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+  console.log(`📜 Rule set report for ${rulesPath}\n`);
+
+  try {
+    const compiled = compileRuleSet(ruleSet);
+    const disabled = ruleSet.rules.length - compiled.rules.length;
+
+    console.log(`✅ Version ${compiled.version}: ${compiled.rules.length} active rules${disabled ? `, ${disabled} disabled` : ''}`);
+    compiled.rules.forEach(rule => {
+      console.log(`   ${rule.id}: ${Object.keys(rule.then).join(', ')}${rule.stop ? ' (stop)' : ''}`);
+    });
+    return [];
+  } catch (error) {
+    const problems = error.message.replace(/^Invalid rule set: /, '').split('; ');
+    problems.forEach(problem => console.log(`❌ ${problem}`));
+    return problems;
+  }
+}
+
+if (require.main === module) {
+  const [rulesPath] = process.argv.slice(2);
+
+  if (!rulesPath) {
+    console.error('Usage: node scripts/check-rules.js <rules.json>');
+    process.exit(1);
+  }
+
+  const problems = checkRules(rulesPath);
+  process.exit(problems.length > 0 ? 1 : 0);
+}
+
+module.exports = { checkRules };
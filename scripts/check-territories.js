@@ -0,0 +1,43 @@
+/**
+ * Territory overlap report
+ * Detects conflicting service areas across all location configs
+ *
+ * Usage: node scripts/check-territories.js <locations.json>
+ * Exits with code 1 when any error-level conflict is found
+ */
+
+const fs = require('fs');
+const { findTerritoryConflicts } = require('../lib/geo/service-area');
+
+function checkTerritories(locationsPath) {
+  const locations = JSON.parse(fs.readFileSync(locationsPath, 'utf8'));
+  const conflicts = findTerritoryConflicts(Array.isArray(locations) ? locations : locations.locations);
+
+  console.log(`🗺️  Territory report for ${locationsPath}\n`);
+
+  if (conflicts.length === 0) {
+    console.log('✅ No overlapping territories');
+    return conflicts;
+  }
+
+  conflicts.forEach(conflict => {
+    const icon = conflict.severity === 'error' ? '❌' : '⚠️ ';
+    console.log(`${icon} ${conflict.type}: ${conflict.locations.join(', ')} - ${conflict.detail}`);
+  });
+
+  return conflicts;
+}
+
+if (require.main === module) {
+  const [locationsPath] = process.argv.slice(2);
+
+  if (!locationsPath) {
+    console.error('Usage: node scripts/check-territories.js <locations.json>');
+    process.exit(1);
+  }
+
+  const conflicts = checkTerritories(locationsPath);
+  process.exit(conflicts.some(conflict => conflict.severity === 'error') ? 1 : 0);
+}
+
+module.exports = { checkTerritories };
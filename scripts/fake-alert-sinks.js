@@ -0,0 +1,162 @@
+/**
+ * Local stand-ins for Slack and an SMTP relay, for trying alerts without real accounts
+ * The HTTP sink accepts any POST as a Slack incoming webhook; the SMTP sink accepts any
+ * sender, recipient and credentials. Both print what they receive.
+ *
+ * Usage: node scripts/fake-alert-sinks.js [--http-port 4000] [--smtp-port 2525]
+ * then point the router at them:
+ *   ALERT_SLACK_WEBHOOK_URL=http://127.0.0.1:4000/slack ALERT_SMTP_HOST=127.0.0.1 ALERT_SMTP_PORT=2525 \
+ *   ALERT_EMAIL_TO=ops@example.com node router-server.js --locations locations.json
+ */
+
+const http = require('http');
+const net = require('net');
+
+/**
+ * Slack-compatible webhook sink; resolves with the server once listening and
+ * records { path, body } in server.received
+ */
+function startFakeSlack(port = 0) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body = Buffer.concat(chunks).toString('utf8');
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Kept as text; Slack would answer 400 invalid_payload
+      }
+      received.push({ path: req.url, body });
+      server.emit('received', received[received.length - 1]);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  server.received = received;
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+function decodeMessage(data) {
+  const [head, ...bodyParts] = data.split('\r\n\r\n');
+  const headers = {};
+  head.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  });
+
+  const subject = (headers.subject || '').replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, encoded) =>
+    Buffer.from(encoded, 'base64').toString('utf8'));
+  const body = bodyParts.join('\r\n\r\n').replace(/^\.\./gm, '.');
+  const text = /base64/i.test(headers['content-transfer-encoding'] || '')
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+    : body;
+
+  return { headers, subject, text };
+}
+
+/**
+ * SMTP sink; records { from, to, username, subject, text, headers } in server.received
+ */
+function startFakeSmtp(port = 0) {
+  const received = [];
+
+  const server = net.createServer(socket => {
+    const session = { from: null, to: [], username: null };
+    let buffer = '';
+    let data = null; // message lines while in DATA
+
+    const reply = line => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 fake-smtp ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            received.push({ from: session.from, to: session.to, username: session.username, ...decodeMessage(data.join('\r\n')) });
+            server.emit('received', received[received.length - 1]);
+            data = null;
+            session.to = [];
+            reply('250 queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        const argument = rest.join(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-fake-smtp');
+            reply('250 AUTH PLAIN LOGIN');
+            break;
+          case 'AUTH':
+            session.username = Buffer.from(argument.split(' ')[1] || '', 'base64').toString('utf8').split('\0')[1] || null;
+            reply('235 accepted');
+            break;
+          case 'MAIL':
+            session.from = argument.replace(/^FROM:\s*<?([^>]*)>?.*$/i, '$1');
+            reply('250 ok');
+            break;
+          case 'RCPT':
+            session.to.push(argument.replace(/^TO:\s*<?([^>]*)>?.*$/i, '$1'));
+            reply('250 ok');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 end with <CRLF>.<CRLF>');
+            break;
+          case 'QUIT':
+            reply('221 bye');
+            socket.end();
+            break;
+          default:
+            reply('250 ok');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.received = received;
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+function parseArgs(argv) {
+  const options = { 'http-port': 4000, 'smtp-port': 2525 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in options) {
+      options[flag] = Number(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  Promise.all([startFakeSlack(options['http-port']), startFakeSmtp(options['smtp-port'])]).then(([slack, smtp]) => {
+    console.log(`💬 Fake Slack webhook on http://127.0.0.1:${slack.address().port}/slack`);
+    console.log(`✉️  Fake SMTP relay on 127.0.0.1:${smtp.address().port}\n`);
+
+    slack.on('received', message => console.log(`💬 ${message.path}\n${message.body.text || JSON.stringify(message.body)}\n`));
+    smtp.on('received', mail => console.log(`✉️  ${mail.from} -> ${mail.to.join(', ')}: ${mail.subject}\n${mail.text}\n`));
+  }).catch(error => {
+    console.error('Could not start the fake sinks:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startFakeSlack, startFakeSmtp };
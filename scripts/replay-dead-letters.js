@@ -0,0 +1,110 @@
+/**
+ * List or replay routing events that exhausted their delivery attempts
+ * Dead letters are moved back into the outbox (OUTBOX.DIR in the router config) with fresh
+ * attempts and tried once, through the configured sinks and nothing else of the router:
+ * no poller, alerts or routing state. Whatever still fails stays queued for the router
+ * service to keep retrying.
+ * Stop the router service first: both processes append to the same outbox log.
+ *
+ * Usage: node scripts/replay-dead-letters.js [--list] [--sink webhook:<subscription id>|jsonbin] [--id <delivery id>]
+ * Exits with code 1 when a replayed event could not be delivered
+ */
+
+const { PRODUCTION_CONFIG } = require('../production-router');
+const { EventOutbox } = require('../lib/event-outbox');
+const { EventSinks, configuredSubscriptions } = require('../lib/event-sinks');
+const { WebhookSubscriptions } = require('../lib/webhook-subscriptions');
+const { HttpClient } = require('../lib/http-client');
+const { CircuitBreaker, CircuitOpenError } = require('../lib/circuit-breaker');
+
+function parseArgs(argv) {
+  const options = { list: false, sink: null, id: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'list') {
+      options.list = true;
+    } else if (flag in options) {
+      options[flag] = argv[++i];
+    }
+  }
+
+  return options;
+}
+
+/**
+ * The router's outbox and sinks with the router's settings, without starting its poller
+ */
+function createOutbox(config) {
+  if (config.OUTBOX?.ENABLED === false || !config.OUTBOX?.DIR) {
+    throw new Error('The outbox is disabled or in memory (OUTBOX.ENABLED / OUTBOX.DIR); there are no dead letters to replay');
+  }
+
+  const settings = config.CIRCUIT_BREAKER || {};
+  const breakers = {};
+  const sinks = new EventSinks({
+    config,
+    http: new HttpClient({ timeout: config.REQUEST_TIMEOUT, attempts: config.RETRY_ATTEMPTS }),
+    subscriptions: new WebhookSubscriptions(configuredSubscriptions(config)),
+    breakerFor: name => breakers[name] || (breakers[name] = new CircuitBreaker(name, {
+      failureThreshold: settings.FAILURE_THRESHOLD,
+      resetTimeout: settings.RESET_TIMEOUT,
+      halfOpenMaxCalls: settings.HALF_OPEN_MAX_CALLS
+    }))
+  });
+
+  return new EventOutbox({
+    sinks: sinks.outboxSinks(),
+    dir: config.OUTBOX.DIR,
+    maxAttempts: config.OUTBOX.MAX_ATTEMPTS,
+    baseDelay: config.OUTBOX.BASE_DELAY,
+    maxDelay: config.OUTBOX.MAX_DELAY,
+    isTransient: error => error instanceof CircuitOpenError
+  });
+}
+
+function describe(letter) {
+  return `${letter.id} -> ${letter.sink}, ${letter.attempts} attempts, dead since ${letter.deadAt}: ${letter.lastError}`;
+}
+
+async function replayDeadLetters(options, config = PRODUCTION_CONFIG) {
+  const outbox = createOutbox(config);
+
+  const matches = letter => (!options.sink || letter.sink === options.sink) && (!options.id || letter.id === options.id);
+  const letters = outbox.getDeadLetters().filter(matches);
+
+  console.log(`📮 ${letters.length} dead letter(s)${options.sink ? ` for ${options.sink}` : ''}\n`);
+  letters.forEach(letter => console.log(`   ${describe(letter)}`));
+
+  if (options.list || letters.length === 0) {
+    return { replayed: 0, delivered: 0, failing: [] };
+  }
+
+  outbox.replayDeadLetters(matches);
+  const ids = letters.map(letter => letter.id);
+  await outbox.drain();
+
+  const deadAgain = new Set(outbox.getDeadLetters().map(letter => letter.id));
+  const failing = ids.filter(id => outbox.pending.has(id) || deadAgain.has(id));
+
+  console.log(`\n✅ ${ids.length - failing.length} of ${ids.length} replayed event(s) delivered`);
+  failing.forEach(id => {
+    const delivery = outbox.pending.get(id);
+    console.log(delivery
+      ? `⏳ ${id} still failing (${delivery.lastError}); left in the outbox for retry`
+      : `❌ ${id} dead-lettered again`);
+  });
+
+  return { replayed: ids.length, delivered: ids.length - failing.length, failing };
+}
+
+if (require.main === module) {
+  replayDeadLetters(parseArgs(process.argv.slice(2))).then(result => {
+    process.exit(result.failing.length > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { replayDeadLetters };
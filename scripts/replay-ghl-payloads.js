@@ -0,0 +1,146 @@
+/**
+ * Replay recorded GHL webhook payloads against the HTTP service
+ * Boots router-server.js on an ephemeral port with offline geocoding and in-memory state,
+ * posts every recorded payload signed with a test secret, and checks the status and code
+ * each one expects; unsigned, tampered, stale and replayed requests must be rejected, including
+ * a request signed ahead of server time replayed after the tolerance (on a moved server clock)
+ *
+ * Usage: node scripts/replay-ghl-payloads.js [payload-dir]
+ * payload-dir defaults to data/ghl-payloads: one { description, expect, payload } file per
+ * request plus locations.json. Exits with code 1 when any response differs from `expect`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRouterServer } = require('../router-server');
+const { PRODUCTION_CONFIG } = require('../production-router');
+const { signPayload } = require('../lib/webhook-signature');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'ghl-payloads');
+const SECRET = 'replay-secret';
+
+/**
+ * sign: false sends no signature, or { now, nonce, tamper } to sign differently
+ */
+async function request(baseUrl, method, pathname, body, sign = {}) {
+  const raw = body === undefined ? undefined : JSON.stringify(body);
+  const headers = raw === undefined ? {} : { 'Content-Type': 'application/json' };
+
+  if (raw !== undefined && sign) {
+    Object.assign(headers, signPayload(SECRET, raw, sign));
+  }
+
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: raw !== undefined && sign.tamper ? raw.replace(/\d/, '9') : raw
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function mismatches(expect, response) {
+  const problems = [];
+  if (expect.status !== undefined && response.status !== expect.status) {
+    problems.push(`status ${response.status}, expected ${expect.status}`);
+  }
+  ['success', 'code'].forEach(key => {
+    if (expect[key] !== undefined && response.body[key] !== expect[key]) {
+      problems.push(`${key} ${JSON.stringify(response.body[key])}, expected ${JSON.stringify(expect[key])}`);
+    }
+  });
+  return problems;
+}
+
+async function replayPayloads(payloadDir = DEFAULT_DIR) {
+  const recordings = fs.readdirSync(payloadDir)
+    .filter(file => file.endsWith('.json') && file !== 'locations.json')
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(payloadDir, file), 'utf8')) }));
+
+  // The server's clock, moved forward for the late replay
+  let clockOffset = 0;
+  const aheadAt = Date.now() + 4 * 60000;
+
+  const server = createRouterServer({
+    now: () => Date.now() + clockOffset,
+    locationsFile: path.join(payloadDir, 'locations.json'),
+    config: {
+      ...PRODUCTION_CONFIG,
+      KEYS: { JSONBIN: '', WEBHOOK_URL: '', GHL: '' },
+      GEOCODING: { ...PRODUCTION_CONFIG.GEOCODING, PROVIDERS: ['local'] },
+      DAILY_COUNTS_FILE: null,
+      DEDUP: { ...PRODUCTION_CONFIG.DEDUP, STATE_FILE: null },
+      OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null },
+      STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, STATE_FILE: null },
+      DISTRIBUTION: { ...PRODUCTION_CONFIG.DISTRIBUTION, STATE_FILE: null },
+      WEBHOOK_SECURITY: { ...PRODUCTION_CONFIG.WEBHOOK_SECURITY, REQUIRE_SIGNATURE: true, SECRETS: { '*': SECRET } }
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Routing events go to the console; keep the report readable
+  const log = console.log;
+  const failures = [];
+
+  // Any routable recording serves as the body for the signature checks
+  const probe = recordings.find(recording => recording.expect.status === 200)?.payload || {};
+
+  try {
+    const checks = recordings.map(recording => ({
+      name: `${recording.file}: ${recording.description}`,
+      expect: recording.expect,
+      send: () => request(baseUrl, 'POST', '/route', recording.payload)
+    })).concat([
+      { name: 'unsigned', expect: { status: 401, code: 'MISSING_SIGNATURE' }, send: () => request(baseUrl, 'POST', '/route', probe, false) },
+      { name: 'tampered body', expect: { status: 401, code: 'INVALID_SIGNATURE' }, send: () => request(baseUrl, 'POST', '/route', probe, { tamper: true }) },
+      { name: 'signed 10 minutes ago', expect: { status: 401, code: 'STALE_TIMESTAMP' }, send: () => request(baseUrl, 'POST', '/route', probe, { now: Date.now() - 600000 }) },
+      { name: 'first use of a nonce', expect: { status: 200 }, send: () => request(baseUrl, 'POST', '/route', probe, { nonce: 'replay-nonce' }) },
+      { name: 'replayed nonce', expect: { status: 409, code: 'REPLAYED_REQUEST' }, send: () => request(baseUrl, 'POST', '/route', probe, { nonce: 'replay-nonce' }) },
+      { name: 'GET /health', expect: { status: 200 }, send: () => request(baseUrl, 'GET', '/health') },
+      { name: 'GET /metrics', expect: { status: 200 }, send: () => request(baseUrl, 'GET', '/metrics') },
+      { name: 'GET /route', expect: { status: 405, code: 'METHOD_NOT_ALLOWED' }, send: () => request(baseUrl, 'GET', '/route') },
+      { name: 'GET /unknown', expect: { status: 404, code: 'NOT_FOUND' }, send: () => request(baseUrl, 'GET', '/unknown') },
+      { name: 'signed 4 minutes ahead', expect: { status: 200 }, send: () => request(baseUrl, 'POST', '/route', probe, { now: aheadAt, nonce: 'ahead-nonce' }) },
+      {
+        name: 'replayed 6 minutes later, after the nonce window',
+        expect: { status: 409, code: 'REPLAYED_REQUEST' },
+        send: () => {
+          clockOffset = 6 * 60000;
+          return request(baseUrl, 'POST', '/route', probe, { now: aheadAt, nonce: 'ahead-nonce' });
+        }
+      }
+    ]);
+
+    for (const check of checks) {
+      console.log = () => {};
+      const response = await check.send().finally(() => {
+        console.log = log;
+      });
+      const problems = mismatches(check.expect, response);
+
+      const detail = response.body.location?.name || response.body.code || response.body.status || '';
+      console.log(`${problems.length ? '❌' : '✅'} ${response.status} ${check.name}${detail ? ` -> ${detail}` : ''}`);
+      problems.forEach(problem => console.log(`     ${problem}`));
+      if (problems.length > 0) failures.push(check.name);
+    }
+  } finally {
+    console.log = log;
+    await new Promise(resolve => server.close(resolve));
+    server.router.close();
+  }
+
+  return failures;
+}
+
+if (require.main === module) {
+  replayPayloads(process.argv[2]).then(failures => {
+    console.log(failures.length ? `\n${failures.length} payload(s) failed` : '\nAll payloads behaved as recorded');
+    process.exit(failures.length > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { replayPayloads };
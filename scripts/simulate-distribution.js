@@ -0,0 +1,107 @@
+/**
+ * Lead distribution simulation
+ * Routes synthetic leads through the router at a cluster of equally good locations
+ * and checks that each location's share converges to its configured weight
+ *
+ * Usage: node scripts/simulate-distribution.js [--leads 10000] [--strategy weighted] [--tolerance 0.01]
+ * Weights are 5:3:2 for 'weighted' and equal shares otherwise
+ * Exits with code 1 when any share is off by more than the tolerance
+ */
+
+const { ProductionLeadRouter, PRODUCTION_CONFIG } = require('../production-router');
+
+const WEIGHTS = { sim_loc_a: 5, sim_loc_b: 3, sim_loc_c: 2 };
+
+function parseArgs(argv) {
+  const options = { leads: 10000, strategy: 'weighted', tolerance: 0.01 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in options) {
+      const value = argv[++i];
+      options[flag] = flag === 'strategy' ? value : Number(value);
+    }
+  }
+
+  return options;
+}
+
+async function runSimulation(options) {
+  const router = new ProductionLeadRouter({
+    ...PRODUCTION_CONFIG,
+    MAX_DAILY_LEADS_PER_LOCATION: null,
+    DAILY_COUNTS_FILE: null,
+    DISTRIBUTION: { STRATEGY: options.strategy, TIE_BAND: 100, STATE_FILE: null },
+    DEDUP: { ...PRODUCTION_CONFIG.DEDUP, STATE_FILE: null },
+    STICKY_ROUTING: { ...PRODUCTION_CONFIG.STICKY_ROUTING, STATE_FILE: null },
+    OUTBOX: { ...PRODUCTION_CONFIG.OUTBOX, DIR: null },
+    KEYS: { ...PRODUCTION_CONFIG.KEYS, JSONBIN: '', WEBHOOK_URL: '' }
+  });
+
+  // Three locations a few blocks apart in Beverly Hills
+  const locations = Object.entries(WEIGHTS).map(([id, weight], i) => ({
+    id,
+    name: id,
+    lat: 34.0736 + i * 0.002,
+    lng: -118.4004,
+    status: 'active',
+    distributionWeight: weight
+  }));
+
+  const counts = {};
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    for (let i = 0; i < options.leads; i++) {
+      const result = await router.routeLead({
+        id: `sim_lead_${i}`,
+        lat: 34.0736,
+        lng: -118.4004,
+        email: `lead${i}@example.com`,
+        source: 'website'
+      }, locations);
+
+      const key = result.success ? result.location.id : result.code;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  } finally {
+    console.log = log;
+    router.close();
+  }
+
+  const totalWeight = Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  const shares = Object.keys(WEIGHTS).map(id => {
+    const expected = options.strategy === 'weighted' ? WEIGHTS[id] / totalWeight : 1 / locations.length;
+    const observed = (counts[id] || 0) / options.leads;
+    return { id, leads: counts[id] || 0, expected, observed, deviation: Math.abs(observed - expected) };
+  });
+
+  return { shares, counts, ok: shares.every(share => share.deviation <= options.tolerance) };
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!['weighted', 'round_robin', 'least_recently_assigned'].includes(options.strategy)) {
+    console.error('Usage: node scripts/simulate-distribution.js [--leads 10000] [--strategy weighted|round_robin|least_recently_assigned]');
+    process.exit(1);
+  }
+
+  console.log(`⚖️  Distributing ${options.leads} leads with strategy ${options.strategy}...\n`);
+
+  runSimulation(options)
+    .then(report => {
+      report.shares.forEach(share => {
+        console.log(`${share.id}: ${share.leads} leads, ${(share.observed * 100).toFixed(2)}% (expected ${(share.expected * 100).toFixed(2)}%)`);
+      });
+      console.log(report.ok ? '\n✅ Shares within tolerance' : '\n❌ Shares outside tolerance');
+      process.exit(report.ok ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Simulation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runSimulation };
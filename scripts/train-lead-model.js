@@ -0,0 +1,337 @@
+/**
+ * Train the lead scoring model from past leads and their outcomes
+ * Fits a logistic regression on the features in lib/lead-scoring.js, reports calibration
+ * on a held-out share of the leads, and writes weights the router loads via LEAD_SCORING.MODEL_FILE
+ *
+ * Usage: node scripts/train-lead-model.js <leads.csv> [--out data/lead-model.json] [--holdout 0.2]
+ *          [--epochs 400] [--learning-rate 0.5] [--l2 0.001] [--min-count 5]
+ *          [--distance-scale 25] [--distance-unit miles] [--timezone America/New_York]
+ *
+ * CSV columns (header row required, extra columns ignored):
+ *   converted (1/0, true/false, yes/no), createdAt (ISO time), source, phone, email, firstName,
+ *   leadScore, distance (to the nearest location), timezone, utm_source, utm_medium, utm_campaign
+ * Every 1/holdout-th row is held out, so the split is the same on every run.
+ * Exits with code 1 when the file cannot be used for training.
+ */
+
+const fs = require('fs');
+const { extractFeatures, sigmoid, HeuristicLeadScorer } = require('../lib/lead-scoring');
+
+function parseArgs(argv) {
+  const options = {
+    out: 'data/lead-model.json',
+    holdout: 0.2,
+    epochs: 400,
+    'learning-rate': 0.5,
+    l2: 0.001,
+    'min-count': 5,
+    'distance-scale': 25,
+    'distance-unit': 'miles',
+    timezone: undefined
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+      continue;
+    }
+    const flag = argv[i].slice(2);
+    if (flag in options) {
+      const value = argv[++i];
+      options[flag] = typeof options[flag] === 'number' ? Number(value) : value;
+    }
+  }
+
+  return { csvPath: positional[0], options };
+}
+
+/**
+ * Rows of a CSV file as objects keyed by the header; handles quoted fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(columns => columns.some(value => value.trim()));
+  const names = header.map(name => name.trim());
+
+  return records.map(columns => {
+    const record = {};
+    names.forEach((name, i) => {
+      record[name] = (columns[i] || '').trim();
+    });
+    return record;
+  });
+}
+
+function parseOutcome(value) {
+  const normalized = String(value).toLowerCase();
+  if (['1', 'true', 'yes', 'converted'].includes(normalized)) return 1;
+  if (['0', 'false', 'no', ''].includes(normalized)) return 0;
+  return null;
+}
+
+function numberOrNull(value) {
+  return value === '' || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * A CSV record as the lead and scoring context the router would have seen
+ */
+function toExample(record, options) {
+  const lead = {
+    source: record.source || undefined,
+    phone: record.phone || undefined,
+    email: record.email || undefined,
+    firstName: record.firstName || record.first_name || undefined,
+    leadScore: numberOrNull(record.leadScore) ?? undefined,
+    utm_source: record.utm_source || undefined,
+    utm_medium: record.utm_medium || undefined,
+    utm_campaign: record.utm_campaign || undefined
+  };
+  const createdAt = Date.parse(record.createdAt || record.created_at);
+  const context = {
+    now: Number.isNaN(createdAt) ? undefined : createdAt,
+    timeZone: record.timezone || options.timezone,
+    distance: numberOrNull(record.distance),
+    distanceUnit: options['distance-unit']
+  };
+
+  return { lead, context, label: parseOutcome(record.converted) };
+}
+
+/**
+ * Batch gradient descent on log loss with L2 regularization
+ * examples: [{ features, label }], vocabulary: feature names to fit
+ */
+function fitLogistic(examples, vocabulary, { epochs, learningRate, l2 }) {
+  const weights = Object.fromEntries(vocabulary.map(name => [name, 0]));
+  const positives = examples.filter(example => example.label === 1).length;
+  // Start from the base rate so early epochs are spent on the features
+  let intercept = Math.log((positives + 1) / (examples.length - positives + 1));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradients = Object.fromEntries(vocabulary.map(name => [name, 0]));
+    let interceptGradient = 0;
+
+    examples.forEach(({ features, label }) => {
+      const error = sigmoid(predictLogit(intercept, weights, features)) - label;
+      interceptGradient += error;
+      Object.entries(features).forEach(([name, value]) => {
+        if (name in gradients) gradients[name] += error * value;
+      });
+    });
+
+    intercept -= learningRate * interceptGradient / examples.length;
+    vocabulary.forEach(name => {
+      weights[name] -= learningRate * (gradients[name] / examples.length + l2 * weights[name]);
+    });
+  }
+
+  return { intercept, weights };
+}
+
+function predictLogit(intercept, weights, features) {
+  return Object.entries(features).reduce((logit, [name, value]) => logit + (weights[name] || 0) * value, intercept);
+}
+
+/**
+ * Area under the ROC curve: the chance a random converter outscores a random non-converter
+ */
+function auc(predictions, labels) {
+  const ranked = predictions.map((prediction, i) => ({ prediction, label: labels[i] }))
+    .sort((a, b) => a.prediction - b.prediction);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks across ties (Mann-Whitney U)
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].prediction === ranked[i].prediction) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Mean squared error of the predicted probabilities (0 is perfect)
+ */
+function brierScore(predictions, labels) {
+  return predictions.reduce((sum, prediction, i) => sum + (prediction - labels[i]) ** 2, 0) / predictions.length;
+}
+
+/**
+ * Predicted vs observed conversion rate in ten probability buckets
+ */
+function calibrationTable(predictions, labels) {
+  const buckets = Array.from({ length: 10 }, () => ({ count: 0, predicted: 0, observed: 0 }));
+
+  predictions.forEach((prediction, i) => {
+    const bucket = buckets[Math.min(9, Math.floor(prediction * 10))];
+    bucket.count++;
+    bucket.predicted += prediction;
+    bucket.observed += labels[i];
+  });
+
+  return buckets
+    .map((bucket, i) => ({
+      range: `${i * 10}-${(i + 1) * 10}%`,
+      count: bucket.count,
+      predicted: bucket.count ? bucket.predicted / bucket.count : null,
+      observed: bucket.count ? bucket.observed / bucket.count : null
+    }))
+    .filter(bucket => bucket.count > 0);
+}
+
+function round(value, digits = 4) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function trainLeadModel(csvPath, options) {
+  const examples = parseCsv(fs.readFileSync(csvPath, 'utf8'))
+    .map(record => toExample(record, options))
+    .filter(example => example.label !== null);
+  const featureOptions = { distanceScale: options['distance-scale'], scaleUnit: options['distance-unit'] };
+
+  examples.forEach(example => {
+    example.features = extractFeatures(example.lead, { ...example.context, ...featureOptions });
+  });
+
+  const every = options.holdout > 0 ? Math.max(2, Math.round(1 / options.holdout)) : Infinity;
+  const training = examples.filter((example, i) => i % every !== every - 1);
+  const holdout = examples.filter((example, i) => i % every === every - 1);
+  const evaluation = holdout.length > 0 ? holdout : training;
+  const labels = evaluation.map(example => example.label);
+
+  if (new Set(training.map(example => example.label)).size < 2) {
+    throw new Error(`Need both converted and unconverted leads to train (${examples.length} usable rows)`);
+  }
+
+  // Rare categories would only fit noise; leave them to the intercept
+  const counts = {};
+  training.forEach(({ features }) => {
+    Object.keys(features).forEach(name => {
+      counts[name] = (counts[name] || 0) + 1;
+    });
+  });
+  const vocabulary = Object.keys(counts).filter(name => counts[name] >= options['min-count']).sort();
+
+  const { intercept, weights } = fitLogistic(training, vocabulary, {
+    epochs: options.epochs,
+    learningRate: options['learning-rate'],
+    l2: options.l2
+  });
+
+  const predictions = evaluation.map(({ features }) => sigmoid(predictLogit(intercept, weights, features)));
+  const heuristic = new HeuristicLeadScorer();
+  const baseline = evaluation.map(({ lead, context }) => heuristic.score(lead, context).score / 100);
+  const trainedAt = new Date().toISOString();
+
+  return {
+    model: {
+      type: 'logistic',
+      version: trainedAt.slice(0, 10),
+      trainedAt,
+      intercept: round(intercept, 6),
+      weights: Object.fromEntries(vocabulary.map(name => [name, round(weights[name], 6)])),
+      features: { distanceScale: options['distance-scale'], distanceUnit: options['distance-unit'] },
+      metrics: {
+        rows: examples.length,
+        trainingRows: training.length,
+        holdoutRows: holdout.length,
+        conversionRate: round(examples.filter(example => example.label === 1).length / examples.length),
+        auc: round(auc(predictions, labels)),
+        brier: round(brierScore(predictions, labels))
+      }
+    },
+    baseline: {
+      auc: round(auc(baseline, labels)),
+      brier: round(brierScore(baseline, labels))
+    },
+    calibration: calibrationTable(predictions, labels)
+  };
+}
+
+if (require.main === module) {
+  const { csvPath, options } = parseArgs(process.argv.slice(2));
+
+  if (!csvPath) {
+    console.error('Usage: node scripts/train-lead-model.js <leads.csv> [--out data/lead-model.json] [--holdout 0.2]');
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = trainLeadModel(csvPath, options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { model, baseline, calibration } = report;
+  const evaluated = model.metrics.holdoutRows > 0 ? `${model.metrics.holdoutRows} held-out leads` : 'the training leads';
+
+  console.log(`🧠 Lead scoring model ${model.version}`);
+  console.log(`   ${model.metrics.rows} leads (${model.metrics.trainingRows} training), ${(model.metrics.conversionRate * 100).toFixed(1)}% converted`);
+  console.log(`   ${Object.keys(model.weights).length} features\n`);
+  console.log(`Calibration on ${evaluated}:`);
+  console.log(`   AUC   ${model.metrics.auc ?? 'n/a'}   (heuristic ${baseline.auc ?? 'n/a'})`);
+  console.log(`   Brier ${model.metrics.brier}   (heuristic ${baseline.brier})\n`);
+  console.log('   Bucket     Leads  Predicted  Observed');
+  calibration.forEach(bucket => {
+    console.log(`   ${bucket.range.padEnd(9)} ${String(bucket.count).padStart(6)}  ${(bucket.predicted * 100).toFixed(1).padStart(8)}%  ${(bucket.observed * 100).toFixed(1).padStart(7)}%`);
+  });
+
+  console.log('\nStrongest features:');
+  Object.entries(model.weights)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 8)
+    .forEach(([name, weight]) => console.log(`   ${weight >= 0 ? '+' : ''}${weight.toFixed(3)}  ${name}`));
+
+  fs.writeFileSync(options.out, JSON.stringify(model, null, 2) + '\n');
+  console.log(`\n✅ Wrote ${options.out}; load it with LEAD_SCORING.MODEL_FILE`);
+}
+
+module.exports = { trainLeadModel, parseCsv, auc, brierScore };